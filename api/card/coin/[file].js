@@ -0,0 +1,26 @@
+import { requireZora } from "../../../lib/zora.js";
+import { baseUrlFor, defineRoute } from "../../../lib/route.js";
+import { BadInputError } from "../../../lib/errors.js";
+import { cardLinks, getCoinCard, parseCardFile, sendCard } from "../../../lib/cards.js";
+import { chainFromId, parseCoinAddress } from "../../../lib/coins.js";
+
+/**
+ * GET /api/card/coin/<address>.png|.svg|.html[?chain=8453]
+ *
+ * Share card for a coin: image, name, symbol, market cap, holders, 24h
+ * volume and creator. .html is a page with Open Graph / Twitter tags for
+ * link previews; no extension means png.
+ */
+export default defineRoute({ name: "card-coin", methods: ["GET"], cost: 2 }, async function handler(req, res) {
+  const file = parseCardFile(req.query.file);
+  if (!file) {
+    throw new BadInputError("Use /api/card/coin/<0x address>.png, .svg or .html");
+  }
+  const address = parseCoinAddress(file.id).toLowerCase();
+  const chain = chainFromId(req.query.chain);
+
+  requireZora();
+
+  const card = await getCoinCard(address, chain.id);
+  return sendCard(res, card, file.format, cardLinks(baseUrlFor(req), "coin", address, chain.id));
+});
@@ -0,0 +1,24 @@
+import { requireZora } from "../../../lib/zora.js";
+import { baseUrlFor, defineRoute } from "../../../lib/route.js";
+import { BadInputError } from "../../../lib/errors.js";
+import { normalizeHandle } from "../../../lib/creator-snapshot.js";
+import { cardLinks, getProfileCard, parseCardFile, sendCard } from "../../../lib/cards.js";
+
+/**
+ * GET /api/card/profile/<handle>[.png|.svg|.html]
+ *
+ * Share card for a creator: avatar, name, creator coin market cap and
+ * holders, coins created. Formats as for coin cards; no extension means png.
+ */
+export default defineRoute({ name: "card-profile", methods: ["GET"], cost: 2 }, async function handler(req, res) {
+  const file = parseCardFile(req.query.file);
+  const handle = file && normalizeHandle(file.id);
+  if (!handle) {
+    throw new BadInputError("Use /api/card/profile/<handle>.png, .svg or .html");
+  }
+
+  requireZora();
+
+  const card = await getProfileCard(handle);
+  return sendCard(res, card, file.format, cardLinks(baseUrlFor(req), "profile", handle));
+});
@@ -0,0 +1,57 @@
+import { requireZora } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { cacheMeta } from "../lib/cache/index.js";
+import { chainFromId, parseCoinAddress } from "../lib/coins.js";
+import { decodeCursor, encodeCursor } from "../lib/cursor.js";
+import { compareHolders, getHolderSnapshot } from "../lib/holders.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * GET /api/coin-holders?address=0x…&chain=8453&limit=50&cursor=
+ *
+ * Holders by balance (largest first) with their Zora handles, plus
+ * concentration stats: top-10 share, Gini index and new holder counts.
+ */
+export default defineRoute({ name: "coin-holders", methods: ["GET"], cost: 5 }, async function handler(req, res) {
+  const address = parseCoinAddress(req.query.address).toLowerCase();
+  const chain = chainFromId(req.query.chain).id;
+
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadInputError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cursor) {
+    throw new BadInputError("Invalid cursor");
+  }
+
+  requireZora();
+
+  const result = await getHolderSnapshot(address, chain);
+  const { holders: all, ...snapshot } = result.value;
+
+  // keyset on (balance, address): pages don't shift when holders move between refreshes
+  const after = cursor ? { balance: cursor.b, address: cursor.a } : null;
+  const remaining = after ? all.filter(h => compareHolders(h, after) > 0) : all;
+  const holders = remaining.slice(0, limit);
+  const last = holders[holders.length - 1];
+  const hasMore = remaining.length > limit;
+
+  res.setHeader("Cache-Control", "public, s-maxage=120, stale-while-revalidate=600");
+  return res.status(200).json({
+    success: true,
+    data: {
+      ...snapshot,
+      holders,
+      pageInfo: {
+        nextCursor: hasMore ? encodeCursor({ b: last.balance, a: last.address }) : null,
+        hasMore,
+      },
+    },
+    meta: cacheMeta(result),
+  });
+});
@@ -0,0 +1,96 @@
+import { requireZora } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { cacheMeta } from "../lib/cache/index.js";
+import { chainFromId, parseCoinAddress } from "../lib/coins.js";
+import { decodeCursor, encodeCursor } from "../lib/cursor.js";
+import { parseTime } from "../lib/history.js";
+import { BUCKETS, aggregateSwaps, getSwapsPage, getSwapsSince } from "../lib/swaps.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const DEFAULT_RANGE = { minute: 6 * 3_600_000, hour: 7 * 86_400_000, day: 30 * 86_400_000 };
+const MAX_POINTS = 1500;
+
+/**
+ * GET /api/coin-swaps?address=0x…&chain=8453&limit=20&cursor=
+ *   Recent buys/sells, newest first.
+ *
+ * GET /api/coin-swaps?address=0x…&aggregate=hour&from=&to=
+ *   Buy/sell USD volume, trade count and unique traders per minute/hour/day.
+ *   `from`/`to` take epoch seconds/ms or ISO dates (default range depends
+ *   on the bucket: 6h, 7d or 30d).
+ */
+export default defineRoute({ name: "coin-swaps", methods: ["GET"], cost: 3 }, async function handler(req, res) {
+  const { aggregate } = req.query;
+  const address = parseCoinAddress(req.query.address).toLowerCase();
+  const chain = chainFromId(req.query.chain).id;
+
+  requireZora();
+
+  if (aggregate) return await sendAggregate(req, res, { address, chain, aggregate });
+
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadInputError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cursor?.after) {
+    throw new BadInputError("Invalid cursor");
+  }
+
+  const result = await getSwapsPage(address, chain, { after: cursor?.after, first: limit });
+  const { swaps, total, endCursor } = result.value;
+
+  res.setHeader("Cache-Control", "public, s-maxage=15, stale-while-revalidate=60");
+  return res.status(200).json({
+    success: true,
+    data: {
+      address: address.toLowerCase(),
+      chain,
+      totalSwaps: total,
+      swaps,
+      pageInfo: {
+        nextCursor: endCursor ? encodeCursor({ after: endCursor }) : null,
+        hasMore: Boolean(endCursor),
+      },
+    },
+    meta: cacheMeta(result),
+  });
+});
+
+async function sendAggregate(req, res, { address, chain, aggregate }) {
+  const bucketMs = BUCKETS[aggregate];
+  if (!bucketMs) {
+    throw new BadInputError(`Invalid aggregate; use one of ${Object.keys(BUCKETS).join(", ")}`);
+  }
+
+  const to = parseTime(req.query.to) ?? Date.now();
+  const from = parseTime(req.query.from) ?? to - DEFAULT_RANGE[aggregate];
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    throw new BadInputError("Invalid from/to range");
+  }
+  if ((to - from) / bucketMs > MAX_POINTS) {
+    throw new BadInputError(`Range too large for ${aggregate} buckets; max ${MAX_POINTS} buckets`);
+  }
+
+  const result = await getSwapsSince(address, chain, from, bucketMs);
+  const { swaps, complete } = result.value;
+  const series = aggregateSwaps(swaps, { bucketMs, from, to });
+
+  res.setHeader("Cache-Control", "public, s-maxage=30, stale-while-revalidate=120");
+  return res.status(200).json({
+    success: true,
+    data: {
+      address: address.toLowerCase(),
+      chain,
+      aggregate,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      // false when the range goes back further than we page upstream
+      complete,
+      series,
+    },
+    meta: { ...cacheMeta(result), points: series.length },
+  });
+}
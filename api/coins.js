@@ -0,0 +1,72 @@
+import { requireZora } from "../lib/zora.js";
+import { ApiError, BadInputError, toApiError } from "../lib/errors.js";
+import { defineRoute } from "../lib/route.js";
+import { pool } from "../lib/upstream.js";
+import { chainFromId, getCoinCached, normalizeCoin, parseCoinAddress } from "../lib/coins.js";
+
+const MAX_ADDRESSES = 50;
+const CONCURRENCY = 6;
+const URL_MAX_LENGTH = 4000;
+
+/**
+ * GET  /api/coins?address=0xabc,0xdef&chain=8453   (address may also repeat)
+ * POST /api/coins  { "addresses": ["0xabc", …], "chain": 8453 }
+ *
+ * One result per distinct address, in request order:
+ *   { address, ok: true, coin }  or  { address, ok: false, status, code, error }
+ * A bad or unknown address fails only its own item. chain defaults to Base.
+ */
+export default defineRoute({ name: "coins", methods: ["GET", "POST"], cost: 10 }, async function handler(req, res) {
+  if (req.method === "GET" && (req.url || "").length > URL_MAX_LENGTH) {
+    throw new ApiError("URI_TOO_LONG", "URL too long; use POST with a JSON body");
+  }
+
+  const input = req.method === "POST" ? req.body ?? {} : req.query;
+  const raw = req.method === "POST" ? input.addresses ?? input.address : input.address;
+  const addresses = [...new Set((Array.isArray(raw) ? raw : [raw])
+    .flatMap(value => String(value ?? "").split(","))
+    .map(value => value.trim())
+    .filter(Boolean))];
+
+  const chain = chainFromId(input.chain);
+  if (!addresses.length) {
+    throw new BadInputError("Missing address (?address=0x… or POST {addresses: [...]})");
+  }
+  if (addresses.length > MAX_ADDRESSES) {
+    throw new BadInputError(`Too many addresses; max ${MAX_ADDRESSES}`, { details: { received: addresses.length } });
+  }
+
+  requireZora();
+
+  const startedAt = Date.now();
+  const cacheStates = {};
+  const results = await pool(addresses, async address => {
+    let checksummed;
+    try {
+      checksummed = parseCoinAddress(address);
+    } catch (e) {
+      return { address, ok: false, status: 400, code: "BAD_INPUT", error: e.message };
+    }
+    try {
+      const result = await getCoinCached(checksummed, chain.id);
+      cacheStates[result.cache] = (cacheStates[result.cache] || 0) + 1;
+      if (!result.value) return { address: checksummed, ok: false, status: 404, code: "NOT_FOUND", error: "Coin not found on this chain" };
+      return { address: checksummed, ok: true, coin: { ...normalizeCoin(result.value), chainId: chain.id } };
+    } catch (e) {
+      const apiError = toApiError(e);
+      return { address: checksummed, ok: false, status: apiError.status, code: apiError.code, error: apiError.message };
+    }
+  }, CONCURRENCY);
+
+  if (req.method === "GET") res.setHeader("Cache-Control", "s-maxage=30, stale-while-revalidate=120");
+  return res.status(200).json({
+    chain: { id: chain.id, name: chain.name },
+    coins: results,
+    meta: {
+      count: results.length,
+      hadErrors: results.some(r => !r.ok),
+      durationMs: Date.now() - startedAt,
+      cache: cacheStates,
+    },
+  });
+});
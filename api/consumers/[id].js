@@ -0,0 +1,27 @@
+import { defineRoute } from "../../lib/route.js";
+import { requireAdmin, requireWritableDataDir } from "../../lib/admin.js";
+import { NotFoundError } from "../../lib/errors.js";
+import { consumerUsage, getConsumer, publicConsumer, revokeConsumer } from "../../lib/consumers.js";
+
+/**
+ * GET    /api/consumers/<id> — the key and its metered usage per route
+ * DELETE /api/consumers/<id> — revoke it (kept, with revokedAt, for the usage history)
+ *
+ * Both need `Authorization: Bearer $ADMIN_TOKEN`.
+ */
+export default defineRoute({ name: "consumer", methods: ["GET", "DELETE"], cost: 0, scope: null }, async function handler(req, res) {
+  requireAdmin(req);
+  requireWritableDataDir();
+
+  res.setHeader("Cache-Control", "no-store");
+  const { id } = req.query;
+  if (req.method === "DELETE") {
+    if (!await revokeConsumer(id)) throw new NotFoundError("Consumer key not found");
+    return res.status(204).end();
+  }
+
+  const consumer = await getConsumer(id);
+  if (!consumer) throw new NotFoundError("Consumer key not found");
+  const usage = await consumerUsage(id);
+  return res.status(200).json({ success: true, consumer: publicConsumer(consumer), usage });
+});
@@ -0,0 +1,25 @@
+import { defineRoute } from "../../lib/route.js";
+import { requireAdmin, requireWritableDataDir } from "../../lib/admin.js";
+import { createConsumer, listConsumers, parseConsumerRequest, publicConsumer } from "../../lib/consumers.js";
+
+/**
+ * GET  /api/consumers — every consumer key (hashes omitted)
+ * POST /api/consumers — issue one:
+ *   { "name": "propaganda.now", "scopes": ["read"], "tier": "standard" }
+ *
+ * The response carries the `key` itself; it is not shown again.
+ * Both need `Authorization: Bearer $ADMIN_TOKEN`.
+ */
+export default defineRoute({ name: "consumers", methods: ["GET", "POST"], cost: 0, scope: null }, async function handler(req, res) {
+  requireAdmin(req);
+  requireWritableDataDir();
+
+  res.setHeader("Cache-Control", "no-store");
+  if (req.method === "GET") {
+    const consumers = await listConsumers();
+    return res.status(200).json({ success: true, consumers: consumers.map(publicConsumer) });
+  }
+
+  const { consumer, key } = await createConsumer(parseConsumerRequest(req.body));
+  return res.status(201).json({ success: true, consumer: publicConsumer(consumer), key });
+});
@@ -0,0 +1,25 @@
+import { base } from "viem/chains";
+import { requireZora } from "../../lib/zora.js";
+import { baseUrlFor, defineRoute } from "../../lib/route.js";
+import { parseCreateRequest, prepareCoinCreation } from "../../lib/create-coin.js";
+import { getUploader } from "../../lib/uploaders.js";
+
+/**
+ * POST /api/create/coin
+ * { "creator": "0x…", "name": "My Coin", "symbol": "MINE", "description": "…",
+ *   "image": "data:image/png;base64,…" }
+ *
+ * Validates and uploads the metadata, then returns the metadata URI and
+ * the unsigned factory calls ({ to, data, value }) for the creator's
+ * wallet. Once mined, POST the receipt to /api/create/receipt.
+ */
+export default defineRoute({ name: "create-coin", methods: ["POST"], cost: 2, scope: "create" }, async function handler(req, res) {
+  const request = parseCreateRequest(req.body);
+  requireZora();
+
+  const uploader = getUploader({ creator: request.creator, baseUrl: baseUrlFor(req) });
+  const result = await prepareCoinCreation(request, { uploader });
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({ success: true, chainId: base.id, ...result });
+});
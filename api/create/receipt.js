@@ -0,0 +1,26 @@
+import { defineRoute } from "../../lib/route.js";
+import { NotFoundError } from "../../lib/errors.js";
+import { readCoinDeployment } from "../../lib/create-coin.js";
+
+/**
+ * POST /api/create/receipt
+ * { "receipt": { "logs": [...] } }  or  { "txHash": "0x…" }
+ *
+ * Reads the new coin's address and parameters from the factory's
+ * CoinCreatedV4 event.
+ */
+export default defineRoute({ name: "create-receipt", methods: ["POST"], scope: "create" }, async function handler(req, res) {
+  let deployment;
+  try {
+    deployment = await readCoinDeployment(req.body || {});
+  } catch (err) {
+    if (err.name === "TransactionReceiptNotFoundError") {
+      throw new NotFoundError("Transaction not found or not mined yet", { cause: err });
+    }
+    throw err;
+  }
+  if (!deployment) {
+    throw new NotFoundError("No coin was created in this transaction");
+  }
+  return res.status(200).json({ success: true, coin: deployment.coin, deployment });
+});
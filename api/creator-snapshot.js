@@ -0,0 +1,40 @@
+import { requireZora } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { cacheMeta } from "../lib/cache/index.js";
+import { getCreatorSnapshot, normalizeHandle } from "../lib/creator-snapshot.js";
+
+/**
+ * GET /api/creator-snapshot?handle=propaganda
+ *
+ * Normalized creator summary: creator coin market cap, 24h volume,
+ * holders and created coin count. Cached per handle with SWR and a
+ * stale fallback while Zora is failing.
+ */
+export default defineRoute({ name: "creator-snapshot", methods: ["GET", "HEAD"] }, async function handler(req, res) {
+  res.setHeader("Cache-Control", "public, s-maxage=60, stale-while-revalidate=300");
+
+  if (req.method === "HEAD") {
+    return res.status(204).end();
+  }
+
+  const handle = normalizeHandle(req.query.handle);
+  if (!handle) {
+    throw new BadInputError("Missing or invalid ?handle= query param");
+  }
+
+  requireZora();
+
+  const startedAt = Date.now();
+  const result = await getCreatorSnapshot(handle);
+
+  return res.status(200).json({
+    success: true,
+    data: result.value,
+    meta: {
+      ...cacheMeta(result),
+      durationMs: Date.now() - startedAt,
+      handle,
+    },
+  });
+});
@@ -0,0 +1,16 @@
+import { requireZora } from "../../lib/zora.js";
+import { defineRoute } from "../../lib/route.js";
+import { requireCronSecret, requireWritableDataDir } from "../../lib/admin.js";
+import { evaluateWatchlists } from "../../lib/watchlists.js";
+
+/**
+ * Cron target: evaluates every watch once and delivers the webhooks that
+ * fire. Same CRON_SECRET and storage requirements as record-history.
+ */
+export default defineRoute({ name: "cron-evaluate-watchlists", methods: ["GET"], cost: 5, scope: null }, async function handler(req, res) {
+  requireCronSecret(req);
+  requireWritableDataDir();
+  requireZora();
+  const result = await evaluateWatchlists();
+  return res.status(200).json(result);
+});
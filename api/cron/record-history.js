@@ -0,0 +1,24 @@
+import { requireZora } from "../../lib/zora.js";
+import { defineRoute } from "../../lib/route.js";
+import { requireCronSecret, requireWritableDataDir } from "../../lib/admin.js";
+import { parseWatchlist, recordSnapshots } from "../../lib/history.js";
+
+/**
+ * Cron target: samples HISTORY_WATCHLIST once. Not registered in
+ * vercel.json, since samples written to the function's filesystem are
+ * lost; add a `crons` entry once DATA_DIR points at persistent storage.
+ * Vercel Cron sends `Authorization: Bearer $CRON_SECRET`.
+ */
+export default defineRoute({ name: "cron-record-history", methods: ["GET"], cost: 5, scope: null }, async function handler(req, res) {
+  requireCronSecret(req);
+  requireWritableDataDir();
+  requireZora();
+
+  const watchlist = parseWatchlist();
+  if (!watchlist.length) {
+    return res.status(200).json({ recorded: 0, errors: [], message: "HISTORY_WATCHLIST is empty" });
+  }
+
+  const result = await recordSnapshots(watchlist);
+  return res.status(200).json(result);
+});
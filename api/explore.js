@@ -0,0 +1,83 @@
+import {
+  getCoinsLastTraded,
+  getCoinsMostValuable,
+  getCoinsNew,
+  getCoinsTopGainers,
+  getCoinsTopVolume24h,
+  getMostValuableCreatorCoins,
+  requireZora,
+  zoraError,
+} from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
+import { normalizeCoin } from "../lib/coins.js";
+import { decodeCursor, encodeCursor } from "../lib/cursor.js";
+
+const LISTS = {
+  "top-gainers": getCoinsTopGainers,
+  "top-volume": getCoinsTopVolume24h,
+  "most-valuable": getCoinsMostValuable,
+  "new": getCoinsNew,
+  "last-traded": getCoinsLastTraded,
+  "top-creators": getMostValuableCreatorCoins,
+};
+
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 50;
+
+const cache = createCache({
+  namespace: "explore",
+  ttlMs: 30_000,
+  staleWhileRevalidateMs: 120_000,
+  staleIfErrorMs: 3_600_000,
+});
+
+/**
+ * GET /api/explore?list=top-gainers&count=20&after=
+ *
+ * Zora leaderboards as coin summaries in the get-coin shape. `after` is
+ * the nextCursor of the previous page.
+ */
+export default defineRoute({ name: "explore", methods: ["GET"] }, async function handler(req, res) {
+  const list = req.query.list || "top-gainers";
+  const fetchList = LISTS[list];
+  if (!fetchList) {
+    throw new BadInputError(`Invalid list; use one of ${Object.keys(LISTS).join(", ")}`);
+  }
+
+  const count = req.query.count ? Number(req.query.count) : DEFAULT_COUNT;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    throw new BadInputError(`count must be an integer between 1 and ${MAX_COUNT}`);
+  }
+
+  const cursor = decodeCursor(req.query.after);
+  if (req.query.after && (!cursor?.after || cursor.list !== list)) {
+    throw new BadInputError("Invalid after cursor");
+  }
+
+  requireZora();
+
+  const result = await cache.wrap(`${list}:${count}:${cursor?.after || ""}`, async () => {
+    const resp = await fetchList({ count, after: cursor?.after });
+    if (resp.error) throw zoraError(resp);
+    const explore = resp.data?.exploreList;
+    return {
+      coins: (explore?.edges || []).map(e => normalizeCoin(e.node)),
+      endCursor: explore?.pageInfo?.hasNextPage ? explore.pageInfo.endCursor || null : null,
+    };
+  });
+  const { coins, endCursor } = result.value;
+
+  res.setHeader("Cache-Control", "public, s-maxage=30, stale-while-revalidate=120");
+  return res.status(200).json({
+    success: true,
+    list,
+    coins,
+    pageInfo: {
+      nextCursor: endCursor ? encodeCursor({ list, after: endCursor }) : null,
+      hasMore: Boolean(endCursor),
+    },
+    meta: cacheMeta(result),
+  });
+});
@@ -0,0 +1,38 @@
+import { requireZora } from "../../lib/zora.js";
+import { baseUrlFor, defineRoute } from "../../lib/route.js";
+import { NotFoundError } from "../../lib/errors.js";
+import { etagFor, isNotModified } from "../../lib/conditional.js";
+import { FORMATS, getCreatorFeed, parseFeedSlug, renderFeed } from "../../lib/feeds.js";
+
+/**
+ * GET /api/feed/<handle or address>.rss|.atom|.json
+ *
+ * A creator's coins as RSS 2.0, Atom or JSON Feed. Sends ETag and
+ * Last-Modified (the newest entry) and answers conditional requests
+ * with 304.
+ */
+export default defineRoute({ name: "feed", methods: ["GET", "HEAD"] }, async function handler(req, res) {
+  const parsed = parseFeedSlug(req.query.slug);
+  if (!parsed) {
+    throw new NotFoundError("Use /api/feed/<handle>.rss, .atom or .json");
+  }
+
+  requireZora();
+
+  const result = await getCreatorFeed(parsed.identifier);
+  const feed = result.value;
+  const selfUrl = `${baseUrlFor(req)}/api/feed/${encodeURIComponent(parsed.identifier)}.${parsed.format}`;
+  const body = renderFeed(feed, parsed.format, selfUrl);
+  const etag = etagFor(body);
+  const lastModified = new Date(feed.updatedAt ?? result.storedAt);
+
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", lastModified.toUTCString());
+  res.setHeader("X-Cache", result.cache);
+  if (isNotModified(req, { etag, lastModified })) return res.status(304).end();
+
+  res.setHeader("Content-Type", FORMATS[parsed.format]);
+  if (req.method === "HEAD") return res.status(200).end();
+  return res.status(200).send(body);
+});
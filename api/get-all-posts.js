@@ -1,46 +1,38 @@
-import { getCoins, setApiKey } from "@zoralabs/coins-sdk";
+import { getCoins, requireZora, zoraError } from "../lib/zora.js";
 import { base } from "viem/chains";
-
-export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") return res.status(204).end();
-
-  try {
-    const ZORA_API_KEY = process.env.ZORA_API_KEY;
-    if (!ZORA_API_KEY) throw new Error("ZORA_API_KEY is not defined");
-
-    setApiKey(ZORA_API_KEY);
-
-   const response = await getCoins({
-    where: {
-      creator: ["0xd8fbc75dfc8562e4807cb5e08ac1abdbe723be9e"],
-    },
-    chain: base.id,
-    limit: 20,
-  });
-
-
-    console.log("Zora raw response:", JSON.stringify(response, null, 2));
-
+import { defineRoute } from "../lib/route.js";
+import { ApiError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
+
+const CREATOR = "0xd8fbc75dfc8562e4807cb5e08ac1abdbe723be9e";
+
+const cache = createCache({
+  namespace: "creator-coins",
+  ttlMs: 60_000,
+  staleWhileRevalidateMs: 300_000,
+  staleIfErrorMs: 3_600_000,
+});
+
+export default defineRoute({ name: "get-all-posts", methods: ["GET"] }, async function handler(req, res) {
+  requireZora();
+
+  const result = await cache.wrap(`${base.id}:${CREATOR}`, async () => {
+    const response = await getCoins({
+      where: {
+        creator: [CREATOR],
+      },
+      chain: base.id,
+      limit: 20,
+    });
+
+    if (response.error) throw zoraError(response);
     const tokens = response?.data?.zora20Tokens;
 
     if (!tokens || !Array.isArray(tokens.edges)) {
-      throw new Error("Token list is missing or malformed in response");
+      throw new ApiError("UPSTREAM_ERROR", "Token list is missing or malformed in response");
     }
-
-    res.status(200).json(tokens);
- } catch (err) {
-  console.error("🔥 FULL ERROR OBJECT:");
-  console.error(err);
-  res.status(500).json({
-    error: "Server error",
-    raw: err,
-    message: err?.message || "Unknown error",
-    stack: err?.stack || null
+    return tokens;
   });
-}
 
-}
+  res.status(200).json({ ...result.value, meta: cacheMeta(result) });
+});
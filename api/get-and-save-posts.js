@@ -1,62 +1,39 @@
-import { getProfile, getProfileBalances, setApiKey } from "@zoralabs/coins-sdk";
-
-let cache = null;
-let lastFetch = 0;
-const REVALIDATE_INTERVAL = 10 * 1000; // 1 minute
-
-export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") return res.status(204).end();
-
-  try {
-    const ZORA_API_KEY = process.env.ZORA_API_KEY;
-    if (!ZORA_API_KEY) throw new Error("ZORA_API_KEY is not defined");
-
-    const { address } = req.query;
-    if (!address) {
-      return res.status(400).json({ error: "Missing `?address=0x...` query param" });
-    }
-
-    const now = Date.now();
-    const isFresh = cache && (now - lastFetch < REVALIDATE_INTERVAL);
-
-    if (isFresh) {
-      console.log("⚡ Serving from memory cache");
-      return res.status(200).json(cache);
-    }
-
-    // Set API key for Zora SDK
-    setApiKey(ZORA_API_KEY);
+import { requireZora, getProfile } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
+import { fetchAllBalances } from "../lib/portfolio.js";
+
+const REVALIDATE_INTERVAL = 10 * 1000; // 10 seconds
+
+// keyed by address, so every caller gets their own profile
+const cache = createCache({
+  namespace: "profile-balances",
+  ttlMs: REVALIDATE_INTERVAL,
+  staleWhileRevalidateMs: 60 * 1000,
+  staleIfErrorMs: 10 * 60 * 1000,
+});
+
+export default defineRoute({ name: "get-and-save-posts", methods: ["GET"], cost: 5 }, async function handler(req, res) {
+  requireZora();
+
+  const { address } = req.query;
+  if (!address) {
+    throw new BadInputError("Missing `?address=0x...` query param");
+  }
 
+  const result = await cache.wrap(address.toLowerCase(), async () => {
     // Fetch profile
     const profileResponse = await getProfile({ identifier: address });
 
-    // Fetch balances
-    const balancesResponse = await getProfileBalances({
-      identifier: address,
-      count: 99,
-    });
+    // Fetch every page of balances
+    const balances = await fetchAllBalances(address);
 
-    const responseData = {
+    return {
       profile: profileResponse?.data?.profile || null,
-      balances: balancesResponse?.data?.profile?.coinBalances || null,
+      balances,
     };
+  });
 
-    // Save to cache
-    cache = responseData;
-    lastFetch = now;
-
-    console.log("✅ Fresh data fetched and cached");
-    res.status(200).json(responseData);
-  } catch (err) {
-    console.error("Zora API error:", err);
-    res.status(500).json({
-      error: "Server error",
-      message: err.message,
-      stack: err.stack,
-    });
-  }
-}
+  res.status(200).json({ ...result.value, meta: cacheMeta(result) });
+});
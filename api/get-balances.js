@@ -1,42 +1,72 @@
-import { getProfile, getProfileBalances, setApiKey } from "@zoralabs/coins-sdk";
+import { requireZora, getProfile } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
+import { SORT_FIELDS, fetchAllBalances, sortPositions, valuePortfolio } from "../lib/portfolio.js";
 
-export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+const cache = createCache({
+  namespace: "balances",
+  ttlMs: 30_000,
+  staleWhileRevalidateMs: 60_000,
+  staleIfErrorMs: 600_000,
+});
 
-  if (req.method === "OPTIONS") return res.status(204).end();
+/**
+ * GET /api/get-balances?address=0x…&sort=value|amount|marketCap|change24h&order=desc&minValue=&maxValue=
+ *
+ * Profile plus every coin balance, valued in USD: portfolio total and
+ * each position's allocation. Sorting and the min/max value filter apply
+ * to `portfolio.positions`; totals always cover the whole portfolio.
+ */
+export default defineRoute({ name: "get-balances", methods: ["GET"], cost: 5 }, async function handler(req, res) {
+  requireZora();
 
-  try {
-    const ZORA_API_KEY = process.env.ZORA_API_KEY;
-    if (!ZORA_API_KEY) throw new Error("ZORA_API_KEY is not defined");
-
-    setApiKey(ZORA_API_KEY);
+  const { address } = req.query;
+  if (!address) {
+    throw new BadInputError("Missing `?address=0x...` query param");
+  }
 
-    const { address } = req.query;
-    if (!address) {
-      return res.status(400).json({ error: "Missing `?address=0x...` query param" });
-    }
+  const { sort = "value", order = "desc" } = req.query;
+  if (!SORT_FIELDS[sort]) {
+    throw new BadInputError(`Invalid sort; use one of ${Object.keys(SORT_FIELDS).join(", ")}`);
+  }
+  if (order !== "asc" && order !== "desc") {
+    throw new BadInputError("order must be asc or desc");
+  }
+  const minValue = req.query.minValue ? Number(req.query.minValue) : null;
+  const maxValue = req.query.maxValue ? Number(req.query.maxValue) : null;
+  if (Number.isNaN(minValue) || Number.isNaN(maxValue)) {
+    throw new BadInputError("minValue/maxValue must be numbers (USD)");
+  }
 
+  const result = await cache.wrap(address.toLowerCase(), async () => {
     // Fetch profile
     const profileResponse = await getProfile({ identifier: address });
 
-    // Fetch balances (first page only)
-    const balancesResponse = await getProfileBalances({
-      identifier: address,
-      count: 99,
-    });
+    // Fetch every page of balances
+    const balances = await fetchAllBalances(address);
 
-    res.status(200).json({
+    return {
       profile: profileResponse?.data?.profile || null,
-      balances: balancesResponse?.data?.profile?.coinBalances || null,
-    });
-  } catch (err) {
-    console.error("Zora profile fetch error:", err);
-    res.status(500).json({
-      error: "Server error",
-      message: err.message,
-      stack: err.stack,
-    });
-  }
-}
+      balances,
+    };
+  });
+
+  const { profile, balances } = result.value;
+  const { positions, ...totals } = valuePortfolio(balances?.edges || []);
+  const matching = positions.filter(p =>
+    (minValue == null || (p.valueUsd ?? 0) >= minValue) &&
+    (maxValue == null || (p.valueUsd ?? 0) <= maxValue)
+  );
+
+  res.status(200).json({
+    profile,
+    balances,
+    portfolio: {
+      ...totals,
+      matchingCount: matching.length,
+      positions: sortPositions(matching, sort, order),
+    },
+    meta: cacheMeta(result),
+  });
+});
@@ -1,37 +1,32 @@
-import { getProfile, setApiKey } from "@zoralabs/coins-sdk";
+import { requireZora, getProfile } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError, NotFoundError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
 
-export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+const cache = createCache({
+  namespace: "profile",
+  ttlMs: 60_000,
+  staleWhileRevalidateMs: 300_000,
+  staleIfErrorMs: 3_600_000,
+});
 
-  if (req.method === "OPTIONS") return res.status(204).end();
+export default defineRoute({ name: "get-profile", methods: ["GET"] }, async function handler(req, res) {
+  requireZora();
 
-  try {
-    const ZORA_API_KEY = process.env.ZORA_API_KEY;
-    if (!ZORA_API_KEY) throw new Error("ZORA_API_KEY is not defined");
+  const { address } = req.query;
 
-    setApiKey(ZORA_API_KEY);
-
-    const { address } = req.query;
-
-    if (!address) {
-      return res.status(400).json({ error: "Missing ?address query param" });
-    }
+  if (!address) {
+    throw new BadInputError("Missing ?address query param");
+  }
 
+  const result = await cache.wrap(address.toLowerCase(), async () => {
     const profile = await getProfile({ address });
+    return profile?.data?.profile ?? null;
+  });
 
-    if (!profile?.data?.profile) {
-      return res.status(404).json({ error: "Profile not found" });
-    }
-
-    res.status(200).json(profile.data.profile);
-  } catch (err) {
-    console.error("Zora profile fetch error:", err);
-    res.status(500).json({
-      error: "Server error",
-      message: err.message,
-      stack: err.stack,
-    });
+  if (!result.value) {
+    throw new NotFoundError("Profile not found");
   }
-}
+
+  res.status(200).json({ ...result.value, meta: cacheMeta(result) });
+});
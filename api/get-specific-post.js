@@ -1,38 +1,40 @@
-// pages/api/get-coin-data.js (or .ts if you're using TypeScript)
+import { requireZora, getCoin, zoraError } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { NotFoundError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
+import { chainFromId, parseCoinAddress } from "../lib/coins.js";
 
-import { getCoin, setApiKey } from "@zoralabs/coins-sdk";
-import { base } from "viem/chains";
+// what this route always returned; existing embeds call it without ?address=
+const DEFAULT_ADDRESS = "0xeb52aa8b4bec001e4dbb3f7013f9af6a3f11f631";
 
-export default async function handler(req, res) {
-  // Set CORS headers for client-side access
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+const cache = createCache({
+  namespace: "coin-full",
+  ttlMs: 30_000,
+  staleWhileRevalidateMs: 120_000,
+  staleIfErrorMs: 3_600_000,
+});
 
-  // Preflight request handling
-  if (req.method === "OPTIONS") {
-    return res.status(204).end();
-  }
-
-  try {
-    const ZORA_API_KEY = process.env.ZORA_API_KEY;
-    if (!ZORA_API_KEY) {
-      throw new Error("ZORA_API_KEY is not defined in environment variables.");
-    }
+export default defineRoute({ name: "get-specific-post", methods: ["GET"] }, async function handler(req, res) {
+  const address = parseCoinAddress(req.query.address || DEFAULT_ADDRESS).toLowerCase();
+  const chain = chainFromId(req.query.chain);
 
-    // Apply the API key
-    setApiKey(ZORA_API_KEY);
+  // Apply the API key
+  requireZora();
 
-    // Fetch the full coin data
+  // Fetch the full coin data
+  const result = await cache.wrap(`${chain.id}:${address}`, async () => {
     const coinData = await getCoin({
-      address: "0xeb52aa8b4bec001e4dbb3f7013f9af6a3f11f631", // Replace with desired token address
-      chain: base.id, // Chain ID for Base (you can change this to other supported chains)
+      address,
+      chain: chain.id,
     });
+    if (coinData.error && coinData.status !== 404) throw zoraError(coinData);
+    return coinData.data ?? null;
+  });
 
-    // Return the full response
-    res.status(200).json(coinData.data);
-  } catch (err) {
-    console.error("Zora fetch error:", err.message);
-    res.status(500).json({ error: "Server error", message: err.message });
+  if (!result.value?.zora20Token) {
+    throw new NotFoundError("Coin not found or not on this chain.");
   }
-}
+
+  // Return the full response
+  res.status(200).json({ ...result.value, meta: cacheMeta(result) });
+});
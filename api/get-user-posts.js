@@ -1,85 +1,167 @@
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  // Preflight
-  if (req.method === "OPTIONS") {
-    return res.status(204).end();
-  }
+import { base } from "viem/chains";
+import { getCoinComments, getProfileCoins, requireZora, zoraError } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
+import { decodeCursor, encodeCursor } from "../lib/cursor.js";
+import { parseTime } from "../lib/history.js";
+import { log } from "../lib/log.js";
+import { pool } from "../lib/upstream.js";
 
-  try {
-    const creator = req.query.creator;
-    if (!creator) return res.status(400).json({ error: "Missing creator address" });
-
-    const ZORA_API_KEY = process.env.ZORA_API_KEY;
-    if (!ZORA_API_KEY) throw new Error("Missing ZORA_API_KEY");
-
-    // Build GraphQL query
-    const graphqlQuery = {
-      query: `
-        query CoinsByCreator($creator: String!) {
-          zora20Tokens(where: { creator: $creator }) {
-            name
-            symbol
-            zoraComments {
-              edges {
-                node {
-                  comment
-                  timestamp
-                  userAddress
-                  userProfile {
-                    handle
-                  }
-                }
-              }
-            }
-          }
-        }
-      `,
-      variables: { creator }
-    };
-
-    // Send request to Zora
-    const response = await fetch("https://api.zora.co/graphql", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-API-KEY": ZORA_API_KEY,
-      },
-      body: JSON.stringify(graphqlQuery),
-    });
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const PAGE_SIZE = 50; // upstream page size for both coins and comments
+const MAX_COIN_PAGES = 10; // at most 500 coins per creator
+const MAX_COMMENT_PAGES = 20; // at most 1000 comments per coin
+const MAX_TOTAL_COMMENT_PAGES = 60; // across all coins, so a cold fetch fits in one function run
+const COMMENT_CONCURRENCY = 4;
 
-    // Safely parse the response once
-    const rawBody = await response.text();
+const cache = createCache({
+  namespace: "user-posts",
+  ttlMs: 60_000,
+  staleWhileRevalidateMs: 300_000,
+  staleIfErrorMs: 3_600_000,
+});
 
-    let json;
-    try {
-      json = JSON.parse(rawBody);
-    } catch {
-      throw new Error(`Zora response not valid JSON: ${rawBody}`);
+/**
+ * Follows pageInfo.endCursor until the connection is exhausted, maxPages
+ * is hit or the shared budget ({ pages }) runs out.
+ */
+async function paginate(fetchPage, maxPages, budget = { pages: Infinity }) {
+  const nodes = [];
+  let after;
+  for (let page = 0; page < maxPages; page++) {
+    if (budget.pages <= 0) return { nodes, truncated: true };
+    budget.pages--;
+    const connection = await fetchPage(after);
+    if (!connection) return { nodes, truncated: false };
+    nodes.push(...(connection.edges || []).map(e => e.node));
+    if (!connection.pageInfo?.hasNextPage || !connection.pageInfo.endCursor) {
+      return { nodes, truncated: false };
     }
+    after = connection.pageInfo.endCursor;
+  }
+  return { nodes, truncated: true };
+}
 
-    const tokens = json?.data?.zora20Tokens || [];
-
-    const posts = tokens.flatMap(token => {
-      const tokenName = token.name || token.symbol || "Unnamed Token";
-      const comments = token?.zoraComments?.edges || [];
-      return comments.map(({ node }) => ({
-        token: tokenName,
-        comment: node.comment,
-        user: node.userProfile?.handle || node.userAddress,
-        timestamp: node.timestamp,
-      }));
-    });
+function fetchCoins(creator) {
+  return paginate(async after => {
+    const resp = await getProfileCoins({ identifier: creator, count: PAGE_SIZE, after });
+    if (resp.status === 404) return null; // not a Zora user: no coins, no posts
+    if (resp.error) throw zoraError(resp);
+    return resp.data?.profile?.createdCoins;
+  }, MAX_COIN_PAGES);
+}
 
-    res.status(200).json({ posts });
-  } catch (err) {
-    console.error("Error in get-user-posts:", err.message);
-    res.status(500).json({
-      error: "Server error",
-      message: err.message,
+function fetchComments(coin, budget) {
+  return paginate(async after => {
+    const resp = await getCoinComments({
+      address: coin.address,
+      chain: coin.chainId || base.id,
+      count: PAGE_SIZE,
+      after,
     });
+    if (resp.error) throw zoraError(resp);
+    return resp.data?.zora20Token?.zoraComments;
+  }, MAX_COMMENT_PAGES, budget);
+}
+
+// Zora comment timestamps are epoch seconds
+const toMs = t => (t < 1e12 ? t * 1000 : t);
+
+/**
+ * Every comment on every coin the creator made, newest first. A coin whose
+ * comments can't be fetched is skipped and the result marked truncated;
+ * only when every coin fails does the fetch fail.
+ */
+async function fetchCreatorPosts(creator) {
+  const coins = await fetchCoins(creator);
+  const budget = { pages: MAX_TOTAL_COMMENT_PAGES };
+  const results = await pool(coins.nodes, coin => fetchComments(coin, budget), COMMENT_CONCURRENCY);
+  const failed = results.filter(r => r instanceof Error);
+  if (failed.length && failed.length === results.length) throw failed[0];
+  if (failed.length) {
+    log.warn("skipped coins whose comments failed", { creator, failed: failed.length, message: failed[0].message });
   }
+
+  const posts = results.flatMap((comments, i) => {
+    if (comments instanceof Error) return [];
+    const coin = coins.nodes[i];
+    const tokenName = coin.name || coin.symbol || "Unnamed Token";
+    return comments.nodes.map(node => ({
+      id: node.commentId,
+      token: tokenName,
+      coin: coin.address,
+      comment: node.comment,
+      user: node.userProfile?.handle || node.userAddress,
+      timestamp: node.timestamp,
+    }));
+  });
+  posts.sort(compareNewest);
+
+  return {
+    posts,
+    coinCount: coins.nodes.length,
+    truncated: coins.truncated || failed.length > 0 || results.some(r => r.truncated),
+  };
 }
+
+// timestamp, then id: a total order, so cursors stay stable when timestamps tie
+function compareNewest(a, b) {
+  return b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+export default defineRoute({ name: "get-user-posts", methods: ["GET"], cost: 10 }, async function handler(req, res) {
+  const creator = req.query.creator;
+  if (!creator) throw new BadInputError("Missing creator address");
+
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadInputError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sort = req.query.sort || "newest";
+  if (sort !== "newest" && sort !== "oldest") {
+    throw new BadInputError("sort must be newest or oldest");
+  }
+
+  const since = parseTime(req.query.since);
+  const until = parseTime(req.query.until);
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    throw new BadInputError("since/until must be epoch seconds, epoch ms or an ISO date");
+  }
+
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && (!cursor || cursor.sort !== sort)) {
+    throw new BadInputError("Invalid cursor");
+  }
+
+  requireZora();
+
+  const result = await cache.wrap(creator.toLowerCase(), () => fetchCreatorPosts(creator));
+  const { posts: all, coinCount, truncated } = result.value;
+
+  const ordered = sort === "newest" ? all : [...all].reverse();
+  const compare = sort === "newest" ? compareNewest : (a, b) => compareNewest(b, a);
+  const matching = ordered.filter(p =>
+    (since == null || toMs(p.timestamp) >= since) &&
+    (until == null || toMs(p.timestamp) <= until) &&
+    // keyset: strictly after the last item of the previous page
+    (!cursor || compare(p, { timestamp: cursor.t, id: cursor.id }) > 0)
+  );
+
+  const posts = matching.slice(0, limit);
+  const last = posts[posts.length - 1];
+  const hasMore = matching.length > limit;
+
+  res.status(200).json({
+    posts,
+    pageInfo: {
+      nextCursor: hasMore ? encodeCursor({ sort, t: last.timestamp, id: last.id }) : null,
+      hasMore,
+    },
+    coinCount,
+    truncated,
+    meta: cacheMeta(result),
+  });
+});
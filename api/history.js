@@ -0,0 +1,49 @@
+import { defineRoute } from "../lib/route.js";
+import { BadInputError } from "../lib/errors.js";
+import { parseCoinAddress } from "../lib/coins.js";
+import { INTERVALS, autoInterval, parseTime, queryHistory } from "../lib/history.js";
+
+const DEFAULT_RANGE_MS = 7 * 86_400_000;
+const MAX_RANGE_MS = 366 * 86_400_000;
+
+/**
+ * GET /api/history?address=0x…&from=&to=&interval=1h
+ *
+ * OHLC-style series for marketCap, volume24h and uniqueHolders, read from
+ * the samples the history recorder appends. `from`/`to` take epoch
+ * seconds/ms or ISO dates (default: the last 7 days).
+ */
+export default defineRoute({ name: "history", methods: ["GET"] }, async function handler(req, res) {
+  const { interval } = req.query;
+  const address = parseCoinAddress(req.query.address).toLowerCase();
+
+  const to = parseTime(req.query.to) ?? Date.now();
+  const from = parseTime(req.query.from) ?? to - DEFAULT_RANGE_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    throw new BadInputError("Invalid from/to range");
+  }
+  if (to - from > MAX_RANGE_MS) {
+    throw new BadInputError("Range too large; max 366 days");
+  }
+  if (interval && !INTERVALS[interval]) {
+    throw new BadInputError(`Invalid interval; use one of ${Object.keys(INTERVALS).join(", ")}`);
+  }
+
+  const resolvedInterval = interval || autoInterval(to - from);
+  const series = await queryHistory({
+    address,
+    from,
+    to,
+    intervalMs: INTERVALS[resolvedInterval],
+  });
+
+  res.setHeader("Cache-Control", "public, s-maxage=60, stale-while-revalidate=300");
+  return res.status(200).json({
+    address,
+    interval: resolvedInterval,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    series,
+    meta: { points: series.length },
+  });
+});
@@ -0,0 +1,71 @@
+import { requireZora } from "../lib/zora.js";
+import { baseUrlFor, defineRoute } from "../lib/route.js";
+import { ApiError, NotFoundError } from "../lib/errors.js";
+import { CoinInputError, chainFromId } from "../lib/coins.js";
+import { normalizeHandle } from "../lib/creator-snapshot.js";
+import {
+  HEIGHT,
+  WIDTH,
+  cardLinks,
+  getCoinCard,
+  getProfileCard,
+  parseCardUrl,
+} from "../lib/cards.js";
+
+const ADDRESS_RE = /^0x[0-9a-f]{40}$/i;
+
+/**
+ * GET /api/oembed?url=<card or zora.co URL>&maxwidth=&maxheight=
+ *
+ * oEmbed (https://oembed.com) "photo" response with the share card PNG.
+ * url can be one of our /api/card/... URLs or a zora.co coin or profile
+ * page. Only format=json is supported.
+ */
+export default defineRoute({ name: "oembed", methods: ["GET"] }, async function handler(req, res) {
+  if (req.query.format && req.query.format !== "json") {
+    throw new ApiError("NOT_IMPLEMENTED", "Only format=json is supported");
+  }
+
+  const target = parseCardUrl(req.query.url);
+  const id = target?.kind === "coin"
+    ? (ADDRESS_RE.test(target.id) ? target.id.toLowerCase() : null)
+    : target && normalizeHandle(target.id);
+  if (!id) {
+    throw new NotFoundError("No embed for this url");
+  }
+
+  let chain;
+  try {
+    chain = target.kind === "coin" ? chainFromId(target.chain).id : undefined;
+  } catch (err) {
+    // a coin on a chain we don't serve can't be embedded, which oEmbed answers with 404
+    if (err instanceof CoinInputError) throw new NotFoundError("No embed for this url", { cause: err });
+    throw err;
+  }
+
+  requireZora();
+
+  let card;
+  try {
+    card = target.kind === "coin" ? await getCoinCard(id, chain) : await getProfileCard(id);
+  } catch (err) {
+    if (err instanceof NotFoundError) throw new NotFoundError("No embed for this url", { cause: err });
+    throw err;
+  }
+  const { imageUrl } = cardLinks(baseUrlFor(req), target.kind, id, chain);
+
+  // keep the 1200×630 ratio inside whatever box the consumer allows
+  const scale = Math.min(1, Number(req.query.maxwidth) / WIDTH || 1, Number(req.query.maxheight) / HEIGHT || 1);
+  res.setHeader("Cache-Control", "public, max-age=300, s-maxage=300");
+  return res.status(200).json({
+    version: "1.0",
+    type: "photo",
+    title: card.title,
+    url: imageUrl,
+    width: Math.round(WIDTH * scale),
+    height: Math.round(HEIGHT * scale),
+    provider_name: "Zora",
+    provider_url: "https://zora.co",
+    cache_age: 300,
+  });
+});
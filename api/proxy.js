@@ -1,30 +1,90 @@
-export default async function handler(req, res) {
-  // Set common CORS headers for all responses
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+import { configureZora, zoraGraphql } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { createCache } from "../lib/cache/index.js";
+import { etagFor, isNotModified } from "../lib/conditional.js";
+import {
+  GatewayError,
+  cachePolicy,
+  graphqlError,
+  operationCacheKey,
+  prepareOperation,
+} from "../lib/graphql.js";
+import { CircuitOpenError, UpstreamError, UpstreamTimeoutError } from "../lib/upstream.js";
+import { toApiError } from "../lib/errors.js";
+import { log } from "../lib/log.js";
 
-  // Handle preflight requests
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
+// TTLs come per operation from cachePolicy(); errored responses are never stored
+const cache = createCache({
+  namespace: "graphql",
+  isCacheable: ({ status, body }) => status === 200 && !body?.errors,
+});
+
+/**
+ * GraphQL gateway to api.zora.co. Only allowlisted operations (see
+ * lib/graphql.js) are forwarded, with our API key added server-side.
+ * Upstream status codes and errors are passed through unchanged.
+ *
+ * Queries may also be sent as GET (?query=&variables=&operationName=) so
+ * browsers can revalidate them with If-None-Match.
+ */
+export default defineRoute({ name: "proxy", methods: ["GET", "POST"], scope: "proxy" }, async function handler(req, res) {
+  let operation;
+  try {
+    operation = prepareOperation(req);
+  } catch (err) {
+    if (!(err instanceof GatewayError)) throw err;
+    return res.status(err.status).json(graphqlError(err.message, err.code));
   }
 
-  if (req.method !== "POST") {
-    return res.status(405).send("Only POST requests allowed");
+  if (!configureZora()) {
+    return res.status(500).json(graphqlError("Missing ZORA_API_KEY", "MISCONFIGURED"));
   }
 
+  const fetchOperation = () => zoraGraphql(operation.payload, {
+    apiKey: process.env.ZORA_API_KEY,
+  });
+
   try {
-    const zoraRes = await fetch("https://api.zora.co/graphql", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(req.body),
-    });
+    const policy = cachePolicy(operation.payload.operationName);
+    if (operation.type !== "query" || policy.ttlMs <= 0) {
+      const { status, body } = await fetchOperation();
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(status).json(body);
+    }
+
+    const result = await cache.wrap(operationCacheKey(operation), fetchOperation, policy);
+    const { status, body } = result.value;
+    res.setHeader("X-Cache", result.cache);
+    if (status !== 200 || body?.errors) {
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(status).json(body);
+    }
 
-    const data = await zoraRes.json();
-    return res.status(200).json(data);
-  } catch (error) {
-    return res.status(500).json({ error: "Proxy error", details: error.message });
+    const etag = etagFor(body);
+    res.setHeader("ETag", etag);
+    res.setHeader("Cache-Control", "private, no-cache");
+    if (isNotModified(req, { etag })) return res.status(304).end();
+    return res.status(200).json(body);
+  } catch (err) {
+    const passThrough = err instanceof UpstreamError && err.status &&
+      !(err instanceof CircuitOpenError || err instanceof UpstreamTimeoutError);
+    if (passThrough) {
+      if (err.retryAfterMs != null) res.setHeader("Retry-After", Math.ceil(err.retryAfterMs / 1000));
+      const body = err.body && typeof err.body === "object" ? err.body : graphqlError(err.message, "UPSTREAM_ERROR");
+      return res.status(err.status).json(body);
+    }
+    // same codes and logging as every other route, in the GraphQL error shape clients here expect
+    const apiError = toApiError(err);
+    log.error("request failed", {
+      requestId: req.requestId,
+      route: "proxy",
+      status: apiError.status,
+      code: apiError.code,
+      message: err.message,
+      stack: apiError.code === "INTERNAL" ? err.stack : undefined,
+    });
+    if (apiError.retryAfterMs != null) res.setHeader("Retry-After", Math.ceil(apiError.retryAfterMs / 1000));
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(apiError.status).json(graphqlError(apiError.message, apiError.code));
   }
-}
+});
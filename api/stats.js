@@ -0,0 +1,40 @@
+import { defineRoute } from "../lib/route.js";
+import { requireAdmin } from "../lib/admin.js";
+import { accessStats } from "../lib/access-log.js";
+import { BadInputError } from "../lib/errors.js";
+import { parseTime } from "../lib/history.js";
+
+const DEFAULT_RANGE_MS = 86_400_000;
+const MAX_LIMIT = 100;
+
+/**
+ * GET /api/stats?from=&to=&limit=10
+ *
+ * Usage analytics from the access log (lib/access-log.js): request totals,
+ * error rates, p50/p95 latency and cache hit ratio, overall and for the
+ * busiest routes. `from`/`to` take epoch seconds/ms or ISO dates (default:
+ * the last 24 hours). Needs `Authorization: Bearer $ADMIN_TOKEN`.
+ */
+export default defineRoute({ name: "stats", methods: ["GET"], cost: 0, scope: null }, async function handler(req, res) {
+  requireAdmin(req);
+
+  const to = parseTime(req.query.to) ?? Date.now();
+  const from = parseTime(req.query.from) ?? to - DEFAULT_RANGE_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    throw new BadInputError("Invalid from/to range");
+  }
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadInputError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  const stats = await accessStats({ from, to, limit });
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({
+    success: true,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    ...stats,
+  });
+});
@@ -0,0 +1,54 @@
+import { requireZora } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { parseStreamKeys, subscribe } from "../lib/stream.js";
+
+const HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS) || 15_000;
+// under Vercel's function duration limit; EventSource reconnects by itself and resumes
+const MAX_CONNECTION_MS = Number(process.env.STREAM_MAX_CONNECTION_MS) || 240_000;
+const RETRY_MS = 3000;
+
+/**
+ * GET /api/stream?coins=0xabc,8453:0xdef&handles=propaganda
+ *
+ * Server-Sent Events:
+ *   snapshot — { key, data } current values, on connect and for new keys
+ *   update   — { key, changes: { field: { from, to } }, data } when marketCap,
+ *              volume24h, uniqueHolders or comments change
+ *   error    — { key, error } when a key can't be fetched
+ * plus a ": ping" comment every 15s. Reconnects send Last-Event-ID (or
+ * ?lastEventId=) and get only the updates they missed.
+ */
+export default defineRoute({ name: "stream", methods: ["GET"], cost: 5 }, async function handler(req, res) {
+  const keys = parseStreamKeys(req.query);
+  requireZora();
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop proxies from buffering the stream
+  });
+  // defineRoute answers HEAD on GET routes; headers are all a HEAD gets, so don't hold it open
+  if (req.method === "HEAD") return res.end();
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = ({ id, event, data }) => {
+    res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribe(keys, send, {
+    lastEventId: req.headers["last-event-id"] || req.query.lastEventId,
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const maxAge = setTimeout(() => res.end(), MAX_CONNECTION_MS);
+
+  await new Promise(resolve => {
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(maxAge);
+      unsubscribe();
+      resolve();
+    });
+  });
+});
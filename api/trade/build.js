@@ -0,0 +1,25 @@
+import { requireZora } from "../../lib/zora.js";
+import { defineRoute } from "../../lib/route.js";
+import { parseTradeRequest, quoteTrade } from "../../lib/trade.js";
+
+/**
+ * POST /api/trade/build
+ * { "coin": "0x…", "side": "sell", "amount": "100", "sender": "0x…", "signatures": [...] }
+ *
+ * Returns the quote and an unsigned transaction ({ to, data, value }) for
+ * the sender's wallet to sign and send. When `permits` comes back
+ * non-empty (sells), sign them and call build again with `signatures`.
+ */
+export default defineRoute({ name: "trade-build", methods: ["POST"], cost: 2, scope: "trade" }, async function handler(req, res) {
+  const request = parseTradeRequest(req.body);
+  requireZora();
+
+  const { transaction, permits, ...quote } = await quoteTrade(request);
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({
+    success: true,
+    quote,
+    transaction,
+    permits,
+  });
+});
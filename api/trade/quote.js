@@ -0,0 +1,22 @@
+import { requireZora } from "../../lib/zora.js";
+import { defineRoute } from "../../lib/route.js";
+import { parseTradeRequest, quoteTrade } from "../../lib/trade.js";
+
+/**
+ * POST /api/trade/quote
+ * { "coin": "0x…", "side": "buy", "amount": "0.01", "sender": "0x…", "slippage": 0.05 }
+ *
+ * Price check only: how much the trade would return. See build.js for the
+ * transaction itself.
+ */
+export default defineRoute({ name: "trade-quote", methods: ["POST"], cost: 2, scope: "trade" }, async function handler(req, res) {
+  const request = parseTradeRequest(req.body);
+  requireZora();
+
+  const { transaction, permits, ...quote } = await quoteTrade(request);
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({
+    success: true,
+    quote: { ...quote, requiresSignatures: permits.length > 0 },
+  });
+});
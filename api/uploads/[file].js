@@ -0,0 +1,28 @@
+import path from "node:path";
+import { defineRoute } from "../../lib/route.js";
+import { NotFoundError } from "../../lib/errors.js";
+import { MIME_TYPES, UPLOADER, readUpload } from "../../lib/uploaders.js";
+
+/**
+ * GET /api/uploads/<sha256>.<ext>
+ *
+ * Serves files stored by the local uploader (dev). Names are content
+ * hashes, so responses never change and can be cached forever.
+ */
+export default defineRoute({ name: "uploads", methods: ["GET", "HEAD"] }, async function handler(req, res) {
+  if (UPLOADER !== "local") {
+    throw new NotFoundError("Not found");
+  }
+
+  const name = String(req.query.file || "");
+  const bytes = await readUpload(name);
+  if (!bytes) throw new NotFoundError("Not found");
+
+  res.setHeader("Content-Type", MIME_TYPES[path.extname(name).slice(1)]);
+  res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  // uploads are user content; an SVG must not run scripts on our origin
+  res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  if (req.method === "HEAD") return res.status(200).end();
+  return res.status(200).send(bytes);
+});
@@ -0,0 +1,28 @@
+import { defineRoute } from "../../lib/route.js";
+import { requireAdmin, requireWritableDataDir } from "../../lib/admin.js";
+import { NotFoundError } from "../../lib/errors.js";
+import { deleteWatch, getWatch, publicWatch } from "../../lib/watchlists.js";
+import { recentDeliveries } from "../../lib/webhooks.js";
+
+/**
+ * GET    /api/watchlists/<id> — the watch and its latest delivery attempts
+ * DELETE /api/watchlists/<id>
+ *
+ * Both need `Authorization: Bearer $ADMIN_TOKEN`.
+ */
+export default defineRoute({ name: "watchlist", methods: ["GET", "DELETE"], cost: 0, scope: null }, async function handler(req, res) {
+  requireAdmin(req);
+  requireWritableDataDir();
+
+  res.setHeader("Cache-Control", "no-store");
+  const { id } = req.query;
+  if (req.method === "DELETE") {
+    if (!await deleteWatch(id)) throw new NotFoundError("Watch not found");
+    return res.status(204).end();
+  }
+
+  const watch = await getWatch(id);
+  if (!watch) throw new NotFoundError("Watch not found");
+  const deliveries = await recentDeliveries({ watchId: id, limit: 20 });
+  return res.status(200).json({ success: true, watch: publicWatch(watch), deliveries });
+});
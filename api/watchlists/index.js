@@ -0,0 +1,31 @@
+import { defineRoute } from "../../lib/route.js";
+import { requireAdmin, requireWritableDataDir } from "../../lib/admin.js";
+import {
+  createWatch,
+  listWatches,
+  parseWatchRequest,
+  publicWatch,
+} from "../../lib/watchlists.js";
+
+/**
+ * GET  /api/watchlists — every watch (secrets omitted)
+ * POST /api/watchlists — create one:
+ *   { "type": "market_cap_above", "coin": "0x…", "threshold": 1000000,
+ *     "webhookUrl": "https://example.com/hooks/zora", "label": "1M" }
+ *
+ * The response carries the webhook signing `secret`; it is not shown again.
+ * Both need `Authorization: Bearer $ADMIN_TOKEN`.
+ */
+export default defineRoute({ name: "watchlists", methods: ["GET", "POST"], cost: 0, scope: null }, async function handler(req, res) {
+  requireAdmin(req);
+  requireWritableDataDir();
+
+  res.setHeader("Cache-Control", "no-store");
+  if (req.method === "GET") {
+    const watches = await listWatches();
+    return res.status(200).json({ success: true, watches: watches.map(publicWatch) });
+  }
+
+  const watch = await createWatch(parseWatchRequest(req.body));
+  return res.status(201).json({ success: true, watch: publicWatch(watch), secret: watch.secret });
+});
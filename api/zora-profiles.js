@@ -1,65 +1,76 @@
-import { getProfile, getProfileCoins, setApiKey } from "@zoralabs/coins-sdk";
+import { requireZora, getProfile, getProfileCoins, zoraError } from "../lib/zora.js";
+import { defineRoute } from "../lib/route.js";
+import { BadInputError, toApiError } from "../lib/errors.js";
+import { cacheMeta, createCache } from "../lib/cache/index.js";
+import { pool } from "../lib/upstream.js";
 
-export default async function handler(req, res) {
-  // CORS for your public frontend
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  // short CDN cache for 30s; adjust as you like
-  res.setHeader("Cache-Control", "s-maxage=30, stale-while-revalidate=60");
+const MAX_HANDLES = 10; // two Zora calls each, paid for by the route's cost
+const CONCURRENCY = 6;
 
-  if (req.method === "OPTIONS") return res.status(204).end();
+// same 30s as the CDN header below
+const cache = createCache({
+  namespace: "zora-profiles-lite",
+  ttlMs: 30_000,
+  staleWhileRevalidateMs: 60_000,
+  staleIfErrorMs: 600_000,
+});
 
-  try {
-    const ZORA_API_KEY = process.env.ZORA_API_KEY;
-    if (!ZORA_API_KEY) {
-      return res.status(500).json({ error: "Server misconfig: ZORA_API_KEY is not defined" });
-    }
-    setApiKey(ZORA_API_KEY);
+export default defineRoute({ name: "zora-profiles", methods: ["GET"], cost: 10 }, async function handler(req, res) {
+  // short CDN cache for 30s; adjust as you like
+  res.setHeader("Cache-Control", "s-maxage=30, stale-while-revalidate=60");
 
-    const { handles } = req.query;
-    if (!handles) {
-      return res.status(400).json({ error: "Missing ?handles=user1,user2,user3 query param" });
-    }
+  requireZora();
 
-    const handlesList = handles.split(",").map(h => h.trim()).filter(Boolean);
+  const { handles } = req.query;
+  if (!handles) {
+    throw new BadInputError("Missing ?handles=user1,user2,user3 query param");
+  }
+  if (typeof handles !== "string") {
+    throw new BadInputError("Pass ?handles= once, comma-separated");
+  }
 
-    const withTimeout = (p, ms = 8000) =>
-      Promise.race([
-        p,
-        new Promise((_, rej) => setTimeout(() => rej(new Error("Timeout")), ms)),
-      ]);
+  const handlesList = [...new Set(handles.split(",").map(h => h.trim()).filter(Boolean))];
+  if (handlesList.length > MAX_HANDLES) {
+    throw new BadInputError(`Too many handles; max ${MAX_HANDLES}`, {
+      details: { max: MAX_HANDLES, received: handlesList.length },
+    });
+  }
 
-    const results = await Promise.all(
-      handlesList.map(async (handle) => {
-        try {
+  const results = await pool(
+    handlesList,
+    async (handle) => {
+      try {
+        const result = await cache.wrap(handle.toLowerCase(), async () => {
           const [profileResp, coinsResp] = await Promise.all([
-            withTimeout(getProfile({ identifier: handle })),
-            withTimeout(getProfileCoins({ identifier: handle, count: 3 })),
+            getProfile({ identifier: handle }, { timeoutMs: 8000 }),
+            getProfileCoins({ identifier: handle, count: 3 }, { timeoutMs: 8000 }),
           ]);
+          if (profileResp.error) throw zoraError(profileResp);
+          if (coinsResp.error) throw zoraError(coinsResp);
 
-          const profile = profileResp?.data?.profile ?? null;
-          const posts = coinsResp?.data?.profile?.createdCoins?.edges ?? [];
-
-          return { handle, profile, posts, ok: true };
-        } catch (e) {
           return {
-            handle,
-            profile: null,
-            posts: [],
-            ok: false,
-            error: e?.message || "Unknown error",
+            profile: profileResp?.data?.profile ?? null,
+            posts: coinsResp?.data?.profile?.createdCoins?.edges ?? [],
           };
-        }
-      })
-    );
+        });
 
-    return res.status(200).json({ profiles: results });
-  } catch (err) {
-    console.error("Zora profiles fetch error:", err);
-    return res.status(500).json({
-      error: "Server error",
-      message: err?.message || String(err),
-    });
-  }
-}
+        const { profile, posts } = result.value;
+
+        return { handle, profile, posts, ok: true, meta: cacheMeta(result) };
+      } catch (e) {
+        const apiError = toApiError(e);
+        return {
+          handle,
+          profile: null,
+          posts: [],
+          ok: false,
+          code: apiError.code,
+          error: apiError.message,
+        };
+      }
+    },
+    CONCURRENCY
+  );
+
+  return res.status(200).json({ profiles: results });
+});
@@ -1,40 +1,195 @@
+// must load before lib/ modules read process.env at import time
+import "dotenv/config";
 import express from "express";
-import cors from "cors";
-import dotenv from "dotenv";
-import { getCoin, setApiKey } from "@zoralabs/coins-sdk";
-import { base } from "viem/chains";
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { NotFoundError, sendError } from "./lib/errors.js";
+import { log } from "./lib/log.js";
+import { assignRequestId } from "./lib/route.js";
+import { configureZora } from "./lib/zora.js";
+import { parseWatchlist, recordSnapshots } from "./lib/history.js";
+import { evaluateWatchlists } from "./lib/watchlists.js";
 
-dotenv.config();
+// local dev: error responses include stacks (lib/errors.js); Vercel sets production
+process.env.NODE_ENV ??= "development";
 
-const app = express();
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const API_DIR = path.join(ROOT, "api");
 const PORT = process.env.PORT || 3000;
+const BODY_LIMIT = "4.5mb"; // same request body cap as Vercel functions
+
+/**
+ * =========================
+ * Route discovery (api/**.js -> /api/** like Vercel)
+ * =========================
+ */
+async function findHandlers(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    // Vercel skips files and folders prefixed with _ or .
+    if (entry.name.startsWith("_") || entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await findHandlers(full));
+    else if (entry.name.endsWith(".js")) files.push(full);
+  }
+  return files;
+}
+
+function toRoutePath(file) {
+  const segments = path.relative(API_DIR, file).replace(/\.js$/, "").split(path.sep);
+  if (segments[segments.length - 1] === "index") segments.pop();
+  const route = segments.map(s => s
+    .replace(/^\[\.\.\.(\w+)\]$/, "*$1") // [...slug] -> catch-all
+    .replace(/^\[(\w+)\]$/, ":$1"));    // [id] -> dynamic segment
+  return "/" + ["api", ...route].join("/");
+}
 
-app.use(cors());
+// static routes must win over dynamic ones, like Vercel's filesystem routing
+const dynamicWeight = route => (route.match(/[:*]/g) || []).length;
 
-app.get("/api/get-coin", async (req, res) => {
+/**
+ * =========================
+ * vercel.json "headers" block
+ * =========================
+ */
+function sourceToRegExp(source) {
+  const pattern = source
+    .replace(/:(\w+)\*/g, "(.*)")
+    .replace(/:(\w+)/g, "([^/]+)");
+  return new RegExp(`^${pattern}$`);
+}
+
+async function loadHeaderRules() {
   try {
-    const address = req.query.address || "0xb5330c936723d19954035e23a20570b511f47636"; // WalletConnect
-    //env 
-    const apiKey = process.env.ZORA_API_KEY;
+    const config = JSON.parse(await readFile(path.join(ROOT, "vercel.json"), "utf8"));
+    return (config.headers || []).map(rule => ({
+      match: sourceToRegExp(rule.source),
+      headers: rule.headers || [],
+    }));
+  } catch (e) {
+    log.warn("could not read vercel.json headers", { message: e.message });
+    return [];
+  }
+}
 
-    if (!apiKey) {
-      return res.status(400).json({ error: "Missing ZORA_API_KEY" });
+/**
+ * =========================
+ * Vercel req/res shims
+ * =========================
+ */
+function vercelRequest(req, res, next) {
+  // Vercel merges dynamic path segments into req.query; Express 5 exposes query as a getter
+  Object.defineProperty(req, "query", {
+    value: { ...req.query, ...req.params },
+    writable: true,
+    configurable: true,
+    enumerable: true,
+  });
+  next();
+}
+
+function withVercelHeaders(rules) {
+  return (req, res, next) => {
+    for (const rule of rules) {
+      if (!rule.match.test(req.path)) continue;
+      for (const { key, value } of rule.headers) res.setHeader(key, value);
     }
+    next();
+  };
+}
 
-    setApiKey(apiKey);
+function mount(app, route, handler) {
+  app.all(route, vercelRequest, async (req, res, next) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      // Vercel answers unhandled handler errors with a bare 500
+      next(err);
+    }
+  });
+}
 
-    const response = await getCoin({
-      address,
-      chain: base.id,
-    });
+const app = express();
+app.disable("x-powered-by");
+app.use(withVercelHeaders(await loadHeaderRules()));
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.urlencoded({ extended: false, limit: BODY_LIMIT }));
+app.use(express.text({ limit: BODY_LIMIT }));
+app.use(express.raw({ type: "application/octet-stream", limit: BODY_LIMIT }));
 
-    res.json(response.data?.zora20Token);
-  } catch (err) {
-    console.error("Error fetching coin:", err);
-    res.status(500).json({ error: "Something went wrong." });
+const routes = [];
+for (const file of await findHandlers(API_DIR)) {
+  const mod = await import(pathToFileURL(file).href);
+  if (typeof mod.default !== "function") {
+    log.warn("skipping route with no default export handler", { file: path.relative(ROOT, file) });
+    continue;
   }
+  routes.push({ route: toRoutePath(file), handler: mod.default, file });
+}
+routes.sort((a, b) => dynamicWeight(a.route) - dynamicWeight(b.route));
+for (const { route, handler } of routes) mount(app, route, handler);
+
+app.use((req, res) => {
+  sendError(req, res, new NotFoundError("Not found"), { requestId: assignRequestId(req, res) });
+});
+
+// body parser failures land here, before any route runs; same envelope as the routes
+app.use((err, req, res, next) => {
+  sendError(req, res, err, { requestId: assignRequestId(req, res) });
 });
 
+/**
+ * =========================
+ * Background jobs (dev server only; on Vercel, api/cron/* needs a
+ * `crons` entry in vercel.json and a persistent DATA_DIR)
+ * =========================
+ */
+function startHistoryRecorder() {
+  const watchlist = parseWatchlist();
+  if (!watchlist.length) return;
+  if (!configureZora()) {
+    log.warn("HISTORY_WATCHLIST set but ZORA_API_KEY is missing; recorder not started");
+    return;
+  }
+  const intervalMs = Number(process.env.HISTORY_INTERVAL_MS) || 300_000;
+  const tick = () => recordSnapshots(watchlist)
+    .then(({ recorded, errors }) => {
+      for (const e of errors) log.warn("history sample failed", { entry: e.entry, message: e.error });
+      if (recorded) log.info("history samples recorded", { recorded });
+    })
+    .catch(e => log.error("history recorder failed", { message: e.message }));
+  tick();
+  setInterval(tick, intervalMs).unref();
+  log.info("history recorder started", { entries: watchlist.length, intervalMs });
+}
+
+function startWatchlistScheduler() {
+  if (!configureZora()) {
+    log.warn("ZORA_API_KEY is missing; watchlist scheduler not started");
+    return;
+  }
+  const intervalMs = Number(process.env.WATCHLIST_INTERVAL_MS) || 60_000;
+  let running = false;
+  const tick = () => {
+    if (running) return; // a slow webhook receiver shouldn't stack up runs
+    running = true;
+    evaluateWatchlists()
+      .then(({ evaluated, triggered, delivered, errors }) => {
+        for (const e of errors) log.warn("watchlist evaluation failed", { watchId: e.watchId, message: e.error });
+        if (triggered) log.info("watchlists triggered", { triggered, delivered, evaluated });
+      })
+      .catch(e => log.error("watchlist scheduler failed", { message: e.message }))
+      .finally(() => { running = false; });
+  };
+  setInterval(tick, intervalMs).unref();
+  log.info("watchlist scheduler started", { intervalMs });
+}
+
 app.listen(PORT, () => {
-  console.log(`✅ Server running at http://localhost:${PORT}`);
+  log.info("server listening", { url: `http://localhost:${PORT}`, routes: routes.length });
+  for (const { route, file } of routes) log.debug("route mounted", { route, file: path.relative(ROOT, file) });
+  startHistoryRecorder();
+  startWatchlistScheduler();
 });
@@ -0,0 +1,181 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { rename, stat } from "node:fs/promises";
+import path from "node:path";
+import { hashKey } from "./hash.js";
+import { appendJsonl, readJsonl } from "./jsonl.js";
+import { log } from "./log.js";
+import { DATA_DIR, dataDirIsReadOnly } from "./paths.js";
+
+/**
+ * Structured access log: one JSON line per request handled by defineRoute.
+ *
+ *   { time, requestId, route, method, status, durationMs, paramsHash,
+ *     cache: { hit: 1, miss: 1 } | null, upstreamCalls, origin, keyId, cost }
+ *
+ * paramsHash identifies the query/body without storing it. cache counts
+ * the cache lookups the request made by result, upstreamCalls its Zora
+ * calls; both are collected through the request's async context, so
+ * lib/cache and lib/zora don't need the request passed down.
+ *
+ * Written to REQUEST_LOG (default .data/requests.jsonl, "off" disables).
+ * Off by default on Vercel unless REQUEST_LOG or DATA_DIR points somewhere
+ * writable.
+ * Past REQUEST_LOG_MAX_BYTES (default 10MB) the file rotates to
+ * requests.1.jsonl, requests.2.jsonl, … keeping REQUEST_LOG_KEEP (default 5).
+ */
+export const REQUEST_LOG = process.env.REQUEST_LOG && process.env.REQUEST_LOG !== "off"
+  ? path.resolve(process.env.REQUEST_LOG)
+  : path.join(DATA_DIR, "requests.jsonl");
+
+const ENABLED = process.env.REQUEST_LOG
+  ? process.env.REQUEST_LOG !== "off"
+  : !dataDirIsReadOnly();
+const MAX_BYTES = Number(process.env.REQUEST_LOG_MAX_BYTES) || 10 * 1024 * 1024;
+const KEEP = Math.max(1, Number(process.env.REQUEST_LOG_KEEP) || 5);
+
+const context = new AsyncLocalStorage();
+
+/** Called by lib/cache for every wrap(); a no-op outside a request. */
+export function recordCacheResult(state) {
+  const store = context.getStore();
+  if (store) store.cache[state] = (store.cache[state] || 0) + 1;
+}
+
+/** Called by lib/zora for every upstream call (retries count once). */
+export function recordUpstreamCall() {
+  const store = context.getStore();
+  if (store) store.upstreamCalls += 1;
+}
+
+function paramsHash(req) {
+  const body = Buffer.isBuffer(req.body) ? undefined : req.body;
+  const params = { query: req.query, body: req.method === "GET" || req.method === "HEAD" ? undefined : body };
+  return hashKey(params);
+}
+
+/**
+ * Runs fn inside the request's logging context and appends the log line
+ * once the response is closed (finished or aborted by the client).
+ */
+export function withAccessLog(req, res, { route, cost }, fn) {
+  if (!ENABLED) return fn();
+  const startedAt = Date.now();
+  const store = { cache: {}, upstreamCalls: 0 };
+
+  res.once("close", () => {
+    appendEntry({
+      time: new Date(startedAt).toISOString(),
+      requestId: req.requestId,
+      route,
+      method: req.method,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      paramsHash: paramsHash(req),
+      cache: Object.keys(store.cache).length ? store.cache : null,
+      upstreamCalls: store.upstreamCalls,
+      origin: req.headers.origin || null,
+      keyId: req.consumer?.id ?? null,
+      cost,
+    });
+  });
+  return context.run(store, fn);
+}
+
+const rotated = n => REQUEST_LOG.replace(/(\.jsonl)?$/, `.${n}.jsonl`);
+
+// appends are chained so a rotation never races a write
+let queue = Promise.resolve();
+
+function appendEntry(entry) {
+  queue = queue
+    .then(async () => {
+      await rotateIfFull();
+      await appendJsonl(REQUEST_LOG, entry);
+    })
+    .catch(e => log.error("access log write failed", { requestId: entry.requestId, message: e.message }));
+}
+
+async function rotateIfFull() {
+  let size;
+  try {
+    ({ size } = await stat(REQUEST_LOG));
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+  if (size < MAX_BYTES) return;
+  for (let n = KEEP - 1; n >= 1; n--) {
+    await rename(rotated(n), rotated(n + 1)).catch(e => {
+      if (e.code !== "ENOENT") throw e;
+    });
+  }
+  await rename(REQUEST_LOG, rotated(1));
+}
+
+/** Every logged request, oldest first, across the rotated files. */
+export async function* readAccessLog() {
+  for (let n = KEEP; n >= 1; n--) yield* readJsonl(rotated(n));
+  yield* readJsonl(REQUEST_LOG);
+}
+
+// stale answers were still served from cache, so they count as hits
+const CACHE_HITS = new Set(["hit", "stale", "stale-if-error"]);
+
+/**
+ * Aggregates the log between from and to (epoch ms): totals plus the
+ * `limit` busiest routes, each with error rates, p50/p95 latency and the
+ * cache hit ratio (null when nothing was looked up).
+ */
+export async function accessStats({ from, to, limit = 10 }) {
+  const totals = newBucket();
+  const routes = new Map();
+  for await (const row of readAccessLog()) {
+    const time = Date.parse(row.time);
+    if (!(time >= from && time <= to)) continue;
+    if (!routes.has(row.route)) routes.set(row.route, newBucket());
+    for (const bucket of [totals, routes.get(row.route)]) addRow(bucket, row);
+  }
+
+  const top = [...routes]
+    .sort(([, a], [, b]) => b.durations.length - a.durations.length)
+    .slice(0, limit)
+    .map(([route, bucket]) => ({ route, ...summarize(bucket) }));
+  return { totals: summarize(totals), routes: top, meta: { routes: routes.size } };
+}
+
+function newBucket() {
+  return { durations: [], errors: 0, serverErrors: 0, cacheHits: 0, cacheLookups: 0, upstreamCalls: 0 };
+}
+
+function addRow(bucket, row) {
+  bucket.durations.push(row.durationMs);
+  if (row.status >= 400) bucket.errors += 1;
+  if (row.status >= 500) bucket.serverErrors += 1;
+  bucket.upstreamCalls += row.upstreamCalls ?? 0;
+  for (const [state, count] of Object.entries(row.cache ?? {})) {
+    bucket.cacheLookups += count;
+    if (CACHE_HITS.has(state)) bucket.cacheHits += count;
+  }
+}
+
+function summarize({ durations, errors, serverErrors, cacheHits, cacheLookups, upstreamCalls }) {
+  const requests = durations.length;
+  durations.sort((a, b) => a - b);
+  return {
+    requests,
+    errorRate: requests ? ratio(errors / requests) : 0,
+    serverErrorRate: requests ? ratio(serverErrors / requests) : 0,
+    p50Ms: percentile(durations, 50),
+    p95Ms: percentile(durations, 95),
+    cacheHitRatio: cacheLookups ? ratio(cacheHits / cacheLookups) : null,
+    upstreamCalls,
+  };
+}
+
+// nearest-rank, on an already sorted list
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const ratio = n => Math.round(n * 10_000) / 10_000;
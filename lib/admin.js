@@ -0,0 +1,45 @@
+import { timingSafeEqual } from "node:crypto";
+import { ApiError, isDevelopment } from "./errors.js";
+import { dataDirIsReadOnly } from "./paths.js";
+
+const bearerMatches = (req, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(String(req.headers.authorization || ""));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+/**
+ * Bearer auth for operator routes (watchlists, …): `Authorization: Bearer
+ * $ADMIN_TOKEN`. Throws UNAUTHORIZED, or MISCONFIGURED (503) when
+ * ADMIN_TOKEN isn't set — without it these routes are off.
+ */
+export function requireAdmin(req) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) throw new ApiError("MISCONFIGURED", "ADMIN_TOKEN is not configured", { status: 503 });
+  if (!bearerMatches(req, token)) throw new ApiError("UNAUTHORIZED", "Unauthorized");
+}
+
+/**
+ * Vercel Cron sends `Authorization: Bearer $CRON_SECRET`. Without
+ * CRON_SECRET the cron routes answer MISCONFIGURED (503), except in local
+ * development where they stay open for manual runs.
+ */
+export function requireCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    if (isDevelopment()) return;
+    throw new ApiError("MISCONFIGURED", "CRON_SECRET is not configured", { status: 503 });
+  }
+  if (!bearerMatches(req, secret)) throw new ApiError("UNAUTHORIZED", "Unauthorized");
+}
+
+/**
+ * For routes that persist state under DATA_DIR (cron jobs). Vercel's
+ * filesystem is read-only outside /tmp, so there DATA_DIR must be set
+ * explicitly; throws MISCONFIGURED (503) rather than failing every write.
+ */
+export function requireWritableDataDir() {
+  if (dataDirIsReadOnly()) {
+    throw new ApiError("MISCONFIGURED", "DATA_DIR must point at writable storage on Vercel", { status: 503 });
+  }
+}
@@ -0,0 +1,44 @@
+import { mkdir, readFile, rm, writeFile, rename } from "node:fs/promises";
+import path from "node:path";
+import { hashKey } from "../hash.js";
+
+/**
+ * One JSON file per key under `dir`. Survives dev-server restarts; not
+ * meant for serverless, where the filesystem is per-instance and ephemeral.
+ */
+export function createFileStore({ dir }) {
+  const fileFor = key => path.join(dir, `${hashKey(key, 32)}.json`);
+
+  return {
+    name: "file",
+
+    async get(key) {
+      const file = fileFor(key);
+      let item;
+      try {
+        item = JSON.parse(await readFile(file, "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT" || e instanceof SyntaxError) return null;
+        throw e;
+      }
+      if (item.key !== key) return null; // hash collision
+      if (item.expiresAt <= Date.now()) {
+        await rm(file, { force: true });
+        return null;
+      }
+      return item.value;
+    },
+
+    async set(key, value, ttlMs) {
+      await mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify({ key, expiresAt: Date.now() + ttlMs, value }));
+      await rename(tmp, file); // atomic replace, readers never see half a file
+    },
+
+    async delete(key) {
+      await rm(fileFor(key), { force: true });
+    },
+  };
+}
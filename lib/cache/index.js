@@ -0,0 +1,144 @@
+import path from "node:path";
+import { recordCacheResult } from "../access-log.js";
+import { log } from "../log.js";
+import { DATA_DIR } from "../paths.js";
+import { createFileStore } from "./file.js";
+import { createMemoryStore } from "./memory.js";
+import { createRedisStore } from "./redis.js";
+
+/**
+ * Keyed cache shared by every route.
+ *
+ *   const cache = createCache({ namespace: "coin", ttlMs: 30_000, staleWhileRevalidateMs: 120_000 });
+ *   const result = await cache.wrap(address, () => fetchCoin(address));
+ *   // result: { value, cache: "hit" | "stale" | "miss" | "inflight" | "stale-if-error", ageMs }
+ *
+ * Within ttlMs an entry is served as-is. For staleWhileRevalidateMs after
+ * that it is still served while one background refresh runs. For
+ * staleIfErrorMs after ttlMs it is served only when the refresh fails.
+ * Concurrent misses for the same key share one upstream call.
+ *
+ * Backend is picked by CACHE_BACKEND: memory (default, LRU), file
+ * (CACHE_DIR), or redis (REDIS_URL, any Redis-protocol server).
+ */
+let sharedStore = null;
+
+export function defaultStore() {
+  if (sharedStore) return sharedStore;
+  const backend = process.env.CACHE_BACKEND || "memory";
+
+  if (backend === "redis") {
+    if (!process.env.REDIS_URL) throw new Error("CACHE_BACKEND=redis needs REDIS_URL");
+    sharedStore = createRedisStore({ url: process.env.REDIS_URL });
+  } else if (backend === "file") {
+    sharedStore = createFileStore({ dir: process.env.CACHE_DIR || path.join(DATA_DIR, "cache") });
+  } else {
+    sharedStore = createMemoryStore({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 5000 });
+  }
+  return sharedStore;
+}
+
+const inflight = new Map(); // namespaced key -> Promise<{ value, storedAt }>
+
+export function createCache({
+  namespace,
+  ttlMs = 60_000,
+  staleWhileRevalidateMs = 0,
+  staleIfErrorMs = 0,
+  isCacheable = () => true,
+  store = null,
+}) {
+  const defaults = { ttlMs, staleWhileRevalidateMs, staleIfErrorMs, isCacheable };
+  const backend = () => store || defaultStore();
+  const fullKey = key => `${namespace}:${key}`;
+
+  // a broken backend (e.g. Redis down) degrades to "no cache", never to a failed request
+  async function read(key) {
+    try {
+      return await backend().get(key);
+    } catch (e) {
+      log.error("cache read failed", { key, message: e.message });
+      return null;
+    }
+  }
+
+  async function write(key, entry, opts) {
+    const keepMs = opts.ttlMs + Math.max(opts.staleWhileRevalidateMs, opts.staleIfErrorMs);
+    try {
+      await backend().set(key, entry, keepMs);
+    } catch (e) {
+      log.error("cache write failed", { key, message: e.message });
+    }
+  }
+
+  function refresh(key, fetcher, opts) {
+    if (inflight.has(key)) return inflight.get(key);
+    const p = (async () => {
+      const entry = { value: await fetcher(), storedAt: Date.now() };
+      if (opts.isCacheable(entry.value)) await write(key, entry, opts);
+      return entry;
+    })();
+    inflight.set(key, p);
+    p.then(() => inflight.delete(key), () => inflight.delete(key));
+    return p;
+  }
+
+  const result = (entry, state) => {
+    recordCacheResult(state);
+    return {
+      value: entry.value,
+      cache: state,
+      storedAt: entry.storedAt,
+      ageMs: Math.max(0, Date.now() - entry.storedAt),
+    };
+  };
+
+  return {
+    async wrap(key, fetcher, overrides = {}) {
+      const opts = { ...defaults, ...overrides };
+      const k = fullKey(key);
+      const entry = await read(k);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+      if (age < opts.ttlMs) return result(entry, "hit");
+
+      if (age < opts.ttlMs + opts.staleWhileRevalidateMs) {
+        refresh(k, fetcher, opts).catch(e => {
+          log.warn("background revalidation failed", { key: k, message: e.message });
+        });
+        return result(entry, "stale");
+      }
+
+      const joined = inflight.has(k);
+      try {
+        return result(await refresh(k, fetcher, opts), joined ? "inflight" : "miss");
+      } catch (err) {
+        if (age < opts.ttlMs + opts.staleIfErrorMs) {
+          return { ...result(entry, "stale-if-error"), error: err?.message || String(err) };
+        }
+        recordCacheResult(joined ? "inflight" : "miss");
+        throw err;
+      }
+    },
+
+    async get(key) {
+      const entry = await read(fullKey(key));
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, overrides = {}) {
+      await write(fullKey(key), { value, storedAt: Date.now() }, { ...defaults, ...overrides });
+    },
+
+    async delete(key) {
+      await backend().delete(fullKey(key));
+    },
+  };
+}
+
+/** What routes put under `meta` so callers can see where data came from. */
+export function cacheMeta(result) {
+  const meta = { cache: result.cache, ageMs: result.ageMs };
+  if (result.error) meta.error = result.error;
+  return meta;
+}
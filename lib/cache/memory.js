@@ -0,0 +1,46 @@
+/**
+ * In-process LRU store. Map iteration order doubles as recency order.
+ *
+ * maxBytes additionally bounds the total size (JSON length) of the values,
+ * for caches whose entries vary a lot in size, e.g. inlined images.
+ */
+export function createMemoryStore({ maxEntries = 5000, maxBytes = Infinity } = {}) {
+  const entries = new Map(); // key -> { expiresAt, value, bytes }
+  let totalBytes = 0;
+
+  function remove(key) {
+    const item = entries.get(key);
+    if (!item) return;
+    entries.delete(key);
+    totalBytes -= item.bytes;
+  }
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) { remove(key); return null; }
+      // LRU bump
+      entries.delete(key);
+      entries.set(key, item);
+      return item.value;
+    },
+
+    async set(key, value, ttlMs) {
+      remove(key);
+      const bytes = Number.isFinite(maxBytes) ? JSON.stringify(value).length : 0;
+      if (bytes > maxBytes) return;
+      while (entries.size && (entries.size >= maxEntries || totalBytes + bytes > maxBytes)) {
+        remove(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs, bytes });
+      totalBytes += bytes;
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+  };
+}
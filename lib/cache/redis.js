@@ -0,0 +1,25 @@
+import { createRedisClient } from "../redis.js";
+
+/**
+ * Store backed by any Redis-protocol server. Expiry is left to the server (PX).
+ */
+export function createRedisStore({ url, prefix = "zcp:" }) {
+  const redis = createRedisClient(url);
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      const raw = await redis.command(["GET", prefix + key]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      await redis.command(["SET", prefix + key, JSON.stringify(value), "PX", Math.max(1, Math.ceil(ttlMs))]);
+    },
+
+    async delete(key) {
+      await redis.command(["DEL", prefix + key]);
+    },
+  };
+}
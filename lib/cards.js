@@ -0,0 +1,305 @@
+import { Resvg } from "@resvg/resvg-js";
+import { base } from "viem/chains";
+import { createCache } from "./cache/index.js";
+import { createMemoryStore } from "./cache/memory.js";
+import { CHAIN_SLUGS, getCoinCached, normalizeCoin, zoraCoinUrl } from "./coins.js";
+import { getCreatorSnapshot } from "./creator-snapshot.js";
+import { withTimeout } from "./upstream.js";
+import { escapeXml } from "./xml.js";
+import { NotFoundError } from "./errors.js";
+
+/**
+ * Share cards (1200×630, the Open Graph size) for coins and creators, as
+ * SVG or PNG, plus the HTML page that social platforms and oEmbed
+ * consumers read them from.
+ *
+ * Images are inlined as data URIs: an SVG shown through <img> can't load
+ * anything external, and the PNG rasterizer doesn't fetch. Card data is
+ * cached without them; the inlined images get their own in-memory cache,
+ * bounded by size (CARD_IMAGE_CACHE_BYTES, default 64MB). PNG text uses
+ * system fonts; set CARD_FONT_DIR to a folder of .ttf/.otf files where
+ * there are none (Vercel).
+ */
+export const WIDTH = 1200;
+export const HEIGHT = 630;
+
+const IMAGE_TIMEOUT_MS = 4000;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const IPFS_GATEWAY = (process.env.IPFS_GATEWAY || "https://ipfs.io/ipfs/").replace(/\/*$/, "/");
+const FONT_FAMILY = "Inter, Helvetica, Arial, sans-serif";
+const ZORA_URL = "https://zora.co";
+
+const cache = createCache({
+  namespace: "card-data",
+  ttlMs: 300_000,
+  staleWhileRevalidateMs: 900_000,
+  staleIfErrorMs: 86_400_000,
+});
+
+// a failed fetch is cached too (as null), so a dead image doesn't cost every render a timeout
+const imageCache = createCache({
+  namespace: "card-images",
+  ttlMs: 300_000,
+  staleWhileRevalidateMs: 900_000,
+  store: createMemoryStore({ maxBytes: Number(process.env.CARD_IMAGE_CACHE_BYTES) || 64 * 1024 * 1024 }),
+});
+
+export class CardNotFoundError extends NotFoundError {
+  constructor(message) {
+    super(message);
+    this.name = "CardNotFoundError";
+  }
+}
+
+const truncate = (s, max) => (s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+const compact = new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 });
+
+function formatUsd(value) {
+  const n = Number(value);
+  if (value == null || value === "" || !Number.isFinite(n)) return "–";
+  return n < 1000 ? `$${n.toFixed(2)}` : `$${compact.format(n)}`;
+}
+
+const formatCount = value => (value == null || !Number.isFinite(Number(value)) ? "–" : compact.format(Number(value)));
+
+/** An image as a data: URI, or null when it can't be fetched; cards render without it. */
+async function inlineImage(uri) {
+  if (!uri) return null;
+  const url = uri.startsWith("ipfs://") ? IPFS_GATEWAY + uri.slice("ipfs://".length) : uri;
+  if (!/^https:\/\//.test(url)) return null;
+  try {
+    return await withTimeout(async signal => {
+      const response = await fetch(url, { signal });
+      const type = response.headers.get("content-type")?.split(";")[0] ?? "";
+      if (!response.ok || !/^image\/(png|jpeg|gif|webp)$/.test(type)) return null;
+      const bytes = Buffer.from(await response.arrayBuffer());
+      if (bytes.length > MAX_IMAGE_BYTES) return null;
+      return `data:${type};base64,${bytes.toString("base64")}`;
+    }, IMAGE_TIMEOUT_MS, "Card image");
+  } catch {
+    return null;
+  }
+}
+
+async function cachedImage(uri) {
+  if (!uri) return null;
+  const { value } = await imageCache.wrap(uri, () => inlineImage(uri));
+  return value;
+}
+
+/**
+ * The card itself. card: { title, subtitle, image, avatar, byline, stats: [{ label, value }] }
+ * with image/avatar already inlined.
+ */
+export function renderCardSvg(card) {
+  const stats = card.stats.slice(0, 3).map((stat, i) => {
+    const x = 500 + i * 220;
+    return [
+      `<text x="${x}" y="390" font-size="24" fill="#9ca3af">${escapeXml(stat.label)}</text>`,
+      `<text x="${x}" y="440" font-size="40" font-weight="700" fill="#ffffff">${escapeXml(stat.value)}</text>`,
+    ].join("");
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${FONT_FAMILY}">`,
+    "<defs>",
+    `<linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#111827"/><stop offset="1" stop-color="#1f2937"/></linearGradient>`,
+    `<clipPath id="image"><rect x="60" y="115" width="400" height="400" rx="32"/></clipPath>`,
+    `<clipPath id="avatar"><circle cx="528" cy="527" r="28"/></clipPath>`,
+    "</defs>",
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>`,
+    `<rect x="60" y="115" width="400" height="400" rx="32" fill="#374151"/>`,
+    card.image ? `<image href="${card.image}" x="60" y="115" width="400" height="400" preserveAspectRatio="xMidYMid slice" clip-path="url(#image)"/>` : "",
+    `<text x="500" y="200" font-size="64" font-weight="700" fill="#ffffff">${escapeXml(truncate(card.title, 24))}</text>`,
+    `<text x="500" y="260" font-size="36" fill="#9ca3af">${escapeXml(truncate(card.subtitle, 40))}</text>`,
+    ...stats,
+    card.avatar ? `<image href="${card.avatar}" x="500" y="499" width="56" height="56" clip-path="url(#avatar)"/>` : "",
+    card.byline ? `<text x="${card.avatar ? 572 : 500}" y="537" font-size="28" fill="#d1d5db">${escapeXml(truncate(card.byline, 40))}</text>` : "",
+    `<text x="1140" y="590" font-size="24" font-weight="700" fill="#6b7280" text-anchor="end">zora</text>`,
+    "</svg>",
+  ].join("\n") + "\n";
+}
+
+export function svgToPng(svg) {
+  const fontDirs = process.env.CARD_FONT_DIR ? [process.env.CARD_FONT_DIR] : [];
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "width", value: WIDTH },
+    font: { loadSystemFonts: true, fontDirs, defaultFontFamily: "Arial" },
+  });
+  return resvg.render().asPng();
+}
+
+async function fetchCoinCard(address, chain) {
+  const { value: raw } = await getCoinCached(address, chain);
+  if (!raw) throw new CardNotFoundError("Coin not found or not on this chain.");
+  const coin = normalizeCoin(raw);
+  const title = coin.name || coin.symbol || coin.address;
+  return {
+    title,
+    description: `${coin.symbol ? `$${coin.symbol} · ` : ""}Market cap ${formatUsd(coin.marketCap)} · ${formatCount(coin.uniqueHolders)} holders`,
+    url: zoraCoinUrl(chain, coin.address ?? address),
+    card: {
+      title,
+      subtitle: coin.symbol ? `$${coin.symbol}` : "",
+      image: coin.image,
+      avatar: coin.profile.avatar,
+      byline: coin.profile.handle ? `by @${coin.profile.handle}` : null,
+      stats: [
+        { label: "Market cap", value: formatUsd(coin.marketCap) },
+        { label: "Holders", value: formatCount(coin.uniqueHolders) },
+        { label: "24h volume", value: formatUsd(coin.volume24h) },
+      ],
+    },
+  };
+}
+
+async function fetchProfileCard(handle) {
+  const { value: snapshot } = await getCreatorSnapshot(handle);
+  const coin = snapshot.creatorCoin;
+  const title = snapshot.displayName || snapshot.handle;
+  return {
+    title,
+    description: coin
+      ? `$${coin.symbol} · Market cap ${formatUsd(coin.marketCap)} · ${formatCount(coin.uniqueHolders)} holders`
+      : `${formatCount(snapshot.createdCoinCount)} coins on Zora`,
+    url: `${ZORA_URL}/@${encodeURIComponent(snapshot.handle)}`,
+    card: {
+      title,
+      subtitle: `@${snapshot.handle}`,
+      image: snapshot.avatar,
+      avatar: null,
+      byline: coin ? `Creator coin $${coin.symbol}` : null,
+      stats: [
+        { label: "Market cap", value: formatUsd(coin?.marketCap) },
+        { label: "Holders", value: formatCount(coin?.uniqueHolders) },
+        { label: "Coins", value: formatCount(snapshot.createdCoinCount) },
+      ],
+    },
+  };
+}
+
+async function withSvg({ card, ...data }) {
+  const [image, avatar] = await Promise.all([cachedImage(card.image), cachedImage(card.avatar)]);
+  return { ...data, svg: renderCardSvg({ ...card, image, avatar }) };
+}
+
+/** { title, description, url, svg } for a coin; cached. Throws CardNotFoundError. */
+export async function getCoinCard(address, chain = base.id) {
+  const { value } = await cache.wrap(`coin:${chain}:${address.toLowerCase()}`, () => fetchCoinCard(address, chain));
+  return withSvg(value);
+}
+
+/** Same for a creator handle; throws ProfileNotFoundError for unknown handles. */
+export async function getProfileCard(handle) {
+  const { value } = await cache.wrap(`profile:${handle.toLowerCase()}`, () => fetchProfileCard(handle));
+  return withSvg(value);
+}
+
+/**
+ * Minimal HTML page carrying Open Graph / Twitter card tags and oEmbed
+ * discovery for a card. Crawlers read the tags; people who open it are
+ * sent on to Zora.
+ */
+export function renderCardPage({ title, description, url, imageUrl, pageUrl, oembedUrl }) {
+  const t = escapeXml(title);
+  const d = escapeXml(description);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${t}</title>
+<meta name="description" content="${d}">
+<link rel="canonical" href="${escapeXml(url)}">
+<meta property="og:type" content="website">
+<meta property="og:site_name" content="Zora">
+<meta property="og:title" content="${t}">
+<meta property="og:description" content="${d}">
+<meta property="og:url" content="${escapeXml(pageUrl)}">
+<meta property="og:image" content="${escapeXml(imageUrl)}">
+<meta property="og:image:type" content="image/png">
+<meta property="og:image:width" content="${WIDTH}">
+<meta property="og:image:height" content="${HEIGHT}">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${t}">
+<meta name="twitter:description" content="${d}">
+<meta name="twitter:image" content="${escapeXml(imageUrl)}">
+<link rel="alternate" type="application/json+oembed" href="${escapeXml(oembedUrl)}" title="${t}">
+</head>
+<body>
+<script>location.replace(${JSON.stringify(url).replace(/</g, "\\u003c")})</script>
+<a href="${escapeXml(url)}"><img src="${escapeXml(imageUrl)}" width="${WIDTH}" height="${HEIGHT}" alt="${t}" style="max-width:100%;height:auto"></a>
+</body>
+</html>
+`;
+}
+
+/** "0xabc.svg" -> { id: "0xabc", format: "svg" }; no extension means png. */
+export function parseCardFile(file) {
+  const match = /^(.+?)(?:\.(png|svg|html))?$/.exec(String(file ?? ""));
+  return match ? { id: match[1], format: match[2] || "png" } : null;
+}
+
+/**
+ * Absolute URLs of a card's forms. kind is "coin" or "profile"; a coin
+ * off Base keeps its ?chain= on every link.
+ */
+export function cardLinks(baseUrl, kind, id, chain = base.id) {
+  const root = `${baseUrl}/api/card/${kind}/${encodeURIComponent(id)}`;
+  const query = chain !== base.id ? `?chain=${chain}` : "";
+  const pageUrl = `${root}.html${query}`;
+  return {
+    pageUrl,
+    imageUrl: `${root}.png${query}`,
+    oembedUrl: `${baseUrl}/api/oembed?url=${encodeURIComponent(pageUrl)}`,
+  };
+}
+
+/**
+ * What an oEmbed url points at: one of our card URLs or a zora.co coin
+ * or profile page. { kind, id, chain } or null.
+ */
+export function parseCardUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? ""));
+  } catch {
+    return null;
+  }
+  const chain = Number(url.searchParams.get("chain")) || base.id;
+  const ours = /^\/api\/card\/(coin|profile)\/([^/]+)$/.exec(url.pathname);
+  if (ours) {
+    const file = parseCardFile(decodeURIComponent(ours[2]));
+    return file && { kind: ours[1], id: file.id, chain };
+  }
+  if (!/(^|\.)zora\.co$/.test(url.hostname)) return null;
+  const coin = /^\/coin\/(?:([a-z-]+|\d+):)?(0x[0-9a-f]{40})\/?$/i.exec(url.pathname);
+  if (coin) {
+    const slug = coin[1]?.toLowerCase();
+    const chainId = !slug ? base.id : Number(Object.keys(CHAIN_SLUGS).find(id => CHAIN_SLUGS[id] === slug) ?? slug);
+    return Number.isInteger(chainId) ? { kind: "coin", id: coin[2], chain: chainId } : null;
+  }
+  const profile = /^\/@([^/]+)\/?$/.exec(url.pathname);
+  return profile ? { kind: "profile", id: decodeURIComponent(profile[1]), chain } : null;
+}
+
+/**
+ * Sends a card in the requested format. links: { pageUrl, imageUrl,
+ * oembedUrl } — absolute URLs of this card's html and png forms and its
+ * oEmbed document.
+ */
+export function sendCard(res, card, format, links) {
+  res.setHeader("Cache-Control", "public, max-age=300, s-maxage=300, stale-while-revalidate=900");
+  if (format === "html") {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(renderCardPage({ ...card, ...links }));
+  }
+  if (format === "svg") {
+    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+    // user-supplied names and images end up in here; never let it run script on our origin
+    res.setHeader("Content-Security-Policy", "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox");
+    return res.status(200).send(card.svg);
+  }
+  res.setHeader("Content-Type", "image/png");
+  return res.status(200).send(svgToPng(card.svg));
+}
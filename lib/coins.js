@@ -0,0 +1,89 @@
+import { getAddress, isAddress } from "viem";
+import { base, baseSepolia } from "viem/chains";
+import { createCache } from "./cache/index.js";
+import { getCoin, zoraError } from "./zora.js";
+import { BadInputError } from "./errors.js";
+
+/**
+ * The coin summary shape our routes return (get-coin, explore, …), built
+ * from a Zora zora20Token / explore node.
+ */
+export function normalizeCoin(coin) {
+  return {
+    address: coin.address,
+    chainId: coin.chainId ?? null,
+    name: coin.name,
+    symbol: coin.symbol,
+    description: coin.description,
+    totalSupply: coin.totalSupply,
+    marketCap: coin.marketCap,
+    marketCapDelta24h: coin.marketCapDelta24h ?? null,
+    volume24h: coin.volume24h,
+    creator: coin.creatorAddress,
+    createdAt: coin.createdAt,
+    uniqueHolders: coin.uniqueHolders,
+    image: coin.mediaContent?.previewImage?.medium || null,
+    profile: {
+      handle: coin.creatorProfile?.handle || null,
+      avatar: coin.creatorProfile?.avatar?.previewImage?.medium || null,
+    },
+  };
+}
+
+/** Chain ids as zora.co writes them in coin URLs. */
+export const CHAIN_SLUGS = { 8453: "base", 84532: "base-sepolia" };
+
+export function zoraCoinUrl(chainId, address) {
+  return `https://zora.co/coin/${CHAIN_SLUGS[chainId] || chainId}:${address.toLowerCase()}`;
+}
+
+/**
+ * Chains Zora coins live on — the same set as the SDK's getChainFromId,
+ * which its package doesn't export.
+ */
+export const SUPPORTED_CHAINS = [base, baseSepolia];
+
+export class CoinInputError extends BadInputError {
+  constructor(message) {
+    super(message);
+    this.name = "CoinInputError";
+  }
+}
+
+/** Chain for a ?chain= value (default Base); throws CoinInputError for others. */
+export function chainFromId(value) {
+  if (value == null || value === "") return base;
+  const chain = SUPPORTED_CHAINS.find(c => c.id === Number(value));
+  if (!chain) {
+    throw new CoinInputError(`Unsupported chain ${value}; use one of ${SUPPORTED_CHAINS.map(c => c.id).join(", ")}`);
+  }
+  return chain;
+}
+
+/**
+ * Checksummed address, or throws CoinInputError. Single-case input is
+ * accepted; mixed case must be a valid EIP-55 checksum, which catches typos.
+ */
+export function parseCoinAddress(value) {
+  const address = String(value ?? "").trim();
+  if (!isAddress(address, { strict: false })) throw new CoinInputError(`Invalid address: ${address || "(empty)"}`);
+  const mixedCase = /[a-f]/.test(address.slice(2)) && /[A-F]/.test(address.slice(2));
+  if (mixedCase && !isAddress(address)) throw new CoinInputError(`Address checksum mismatch: ${address}`);
+  return getAddress(address);
+}
+
+const cache = createCache({
+  namespace: "coin",
+  ttlMs: 30_000,
+  staleWhileRevalidateMs: 120_000,
+  staleIfErrorMs: 3_600_000,
+});
+
+/** Cached raw zora20Token (null when Zora doesn't know it). Resolves to the cache.wrap result. */
+export function getCoinCached(address, chainId = base.id) {
+  return cache.wrap(`${chainId}:${address.toLowerCase()}`, async () => {
+    const response = await getCoin({ address: address.toLowerCase(), chain: chainId });
+    if (response.error && response.status !== 404) throw zoraError(response);
+    return response.data?.zora20Token ?? null;
+  });
+}
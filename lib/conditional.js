@@ -0,0 +1,31 @@
+import { hashKey } from "./hash.js";
+
+/**
+ * Conditional GET helpers: validators for a response and the
+ * If-None-Match / If-Modified-Since check that turns it into a 304.
+ */
+
+/** Strong ETag from the response body. */
+export function etagFor(body) {
+  return `"${hashKey(typeof body === "string" ? body : JSON.stringify(body), 27)}"`;
+}
+
+const opaque = tag => tag.trim().replace(/^W\//, "");
+
+/**
+ * True when the client's copy is current. If-None-Match wins over
+ * If-Modified-Since, as RFC 9110 says.
+ */
+export function isNotModified(req, { etag, lastModified } = {}) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch && etag) {
+    if (ifNoneMatch.trim() === "*") return true;
+    return ifNoneMatch.split(",").map(opaque).includes(opaque(etag));
+  }
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+  if (!Number.isNaN(ifModifiedSince) && lastModified != null) {
+    // HTTP dates have second precision
+    return Math.floor(new Date(lastModified).getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+  }
+  return false;
+}
@@ -0,0 +1,160 @@
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import path from "node:path";
+import { readAccessLog } from "./access-log.js";
+import { ApiError, BadInputError } from "./errors.js";
+import { createJsonStore } from "./json-store.js";
+import { DATA_DIR } from "./paths.js";
+import { TIERS } from "./rate-limit.js";
+
+/**
+ * Consumer API keys: one per site or partner integration, sent as
+ * `X-Api-Key: zk_…`. Each key has scopes (which routes it may call) and a
+ * rate limit tier (lib/rate-limit.js), and can be revoked on its own.
+ *
+ * Only a SHA-256 of each key is stored (CONSUMER_KEYS_FILE, default
+ * .data/consumer-keys.json); the key itself is shown once, at creation.
+ * Every instance must read the same file, so with more than one instance
+ * DATA_DIR has to be shared storage: a key written to one instance's /tmp
+ * is unknown (401) everywhere else.
+ * Requests without a key are still served as anonymous unless
+ * REQUIRE_CONSUMER_KEY=1. A key that is unknown or revoked is always
+ * rejected, so a revoked partner can't quietly fall back to anonymous.
+ *
+ * Usage is metered by the access log (lib/access-log.js), which records
+ * the keyId of every keyed request.
+ */
+export const SCOPES = {
+  read: "coin, profile and market data",
+  proxy: "the GraphQL proxy",
+  trade: "trade quotes and unsigned trade transactions",
+  create: "coin creation",
+};
+
+export const CONSUMER_KEYS_FILE = process.env.CONSUMER_KEYS_FILE
+  ? path.resolve(process.env.CONSUMER_KEYS_FILE)
+  : path.join(DATA_DIR, "consumer-keys.json");
+
+// revocations reach every warm instance within this long
+const LOOKUP_TTL_MS = Number(process.env.CONSUMER_KEYS_CACHE_MS) || 5000;
+
+const store = createJsonStore(CONSUMER_KEYS_FILE, () => ({ keys: [] }));
+
+export class ConsumerInputError extends BadInputError {
+  constructor(message) {
+    super(message);
+    this.name = "ConsumerInputError";
+  }
+}
+
+const hashKey = key => createHash("sha256").update(key).digest("hex");
+
+/** Validates a create body: { name, scopes, tier? }. */
+export function parseConsumerRequest(input) {
+  if (!input || typeof input !== "object") throw new ConsumerInputError("Body must be a JSON object");
+  const name = String(input.name ?? "").trim();
+  if (!name || name.length > 100) throw new ConsumerInputError("name is required (max 100 characters)");
+
+  const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes)] : [];
+  const unknown = scopes.filter(s => !SCOPES[s]);
+  if (!scopes.length || unknown.length) {
+    throw new ConsumerInputError(`scopes must be a non-empty list of ${Object.keys(SCOPES).join(", ")}`);
+  }
+
+  const tier = input.tier ?? "standard";
+  if (!TIERS[tier] || tier === "anonymous") {
+    throw new ConsumerInputError(`tier must be one of ${Object.keys(TIERS).filter(t => t !== "anonymous").join(", ")}`);
+  }
+  return { name, scopes, tier };
+}
+
+/** A key as the API shows it: everything but the hash. */
+export function publicConsumer({ hash, ...consumer }) {
+  return consumer;
+}
+
+export async function listConsumers() {
+  const { keys } = await store.read();
+  return keys;
+}
+
+export async function getConsumer(id) {
+  return (await listConsumers()).find(k => k.id === id) ?? null;
+}
+
+/** Resolves to { consumer, key }; the key is not stored and can't be shown again. */
+export async function createConsumer(fields) {
+  const key = `zk_${randomBytes(24).toString("base64url")}`;
+  const consumer = await store.update(doc => {
+    const record = {
+      id: `key_${randomUUID()}`,
+      ...fields,
+      prefix: key.slice(0, 10),
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+    doc.keys.push(record);
+    return record;
+  });
+  index = null;
+  return { consumer, key };
+}
+
+/** Marks the key revoked; resolves to the record, or null when there is none. */
+export async function revokeConsumer(id) {
+  const consumer = await store.update(doc => {
+    const record = doc.keys.find(k => k.id === id);
+    if (record && !record.revokedAt) record.revokedAt = new Date().toISOString();
+    return record ?? null;
+  });
+  index = null;
+  return consumer;
+}
+
+let index = null; // { byHash: Map, loadedAt }
+
+async function findByKey(key) {
+  if (!index || Date.now() - index.loadedAt > LOOKUP_TTL_MS) {
+    const keys = await listConsumers();
+    index = { byHash: new Map(keys.map(k => [k.hash, k])), loadedAt: Date.now() };
+  }
+  return index.byHash.get(hashKey(key)) ?? null;
+}
+
+/**
+ * Resolves the request's consumer key into req.consumer and checks it
+ * may use `scope`. Routes with a null scope (admin, cron) skip this.
+ */
+export async function authenticateConsumer(req, scope) {
+  if (!scope) return;
+  const key = req.headers["x-api-key"];
+  if (!key) {
+    if (process.env.REQUIRE_CONSUMER_KEY === "1") {
+      throw new ApiError("UNAUTHORIZED", "Missing X-Api-Key header");
+    }
+    return;
+  }
+
+  const consumer = await findByKey(String(key));
+  if (!consumer || consumer.revokedAt) throw new ApiError("UNAUTHORIZED", "Invalid or revoked API key");
+  req.consumer = consumer;
+  if (!consumer.scopes.includes(scope)) {
+    throw new ApiError("FORBIDDEN", `This API key lacks the "${scope}" scope`, { details: { scope } });
+  }
+}
+
+/** Per-route totals for one key from the access log. */
+export async function consumerUsage(keyId) {
+  const usage = { requests: 0, cost: 0, errors: 0, lastUsedAt: null, routes: {} };
+  for await (const row of readAccessLog()) {
+    if (row.keyId !== keyId) continue;
+    const route = (usage.routes[row.route] ??= { requests: 0, cost: 0, errors: 0 });
+    for (const totals of [usage, route]) {
+      totals.requests += 1;
+      totals.cost += row.cost ?? 0;
+      if (row.status >= 400) totals.errors += 1;
+    }
+    usage.lastUsedAt = row.time;
+  }
+  return usage;
+}
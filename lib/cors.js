@@ -0,0 +1,131 @@
+import { readFileSync } from "node:fs";
+import { ApiError } from "./errors.js";
+
+/**
+ * CORS policy for every route, configured in cors.json:
+ *
+ *   {
+ *     "default": { "origins": ["*"] },
+ *     "routes": { "get-propaganda": { "origins": ["https://*.webflow.io"] } }
+ *   }
+ *
+ * Env overrides (no redeploy of code needed):
+ *   CORS_CONFIG              — full JSON document, replaces cors.json
+ *   CORS_ORIGINS             — comma-separated origins for the default policy
+ *   CORS_ORIGINS_<ROUTE>     — per route, e.g. CORS_ORIGINS_GET_PROPAGANDA
+ *
+ * Origin patterns: "*" (anyone), "https://site.com", "https://*.webflow.io"
+ * (any subdomain, not the apex), or a scheme-less "*.webflow.io" (http or https).
+ */
+const DEFAULT_POLICY = {
+  origins: ["*"],
+  allowHeaders: ["Content-Type"],
+  exposeHeaders: [],
+  credentials: false,
+  maxAge: 600,
+};
+
+function loadConfig() {
+  if (process.env.CORS_CONFIG) return JSON.parse(process.env.CORS_CONFIG);
+  try {
+    return JSON.parse(readFileSync(new URL("../cors.json", import.meta.url), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return {};
+  }
+}
+
+const config = loadConfig();
+
+// read by lib/route.js on every route (consumer key, caller-assigned request id)
+const ALWAYS_ALLOWED = ["X-Api-Key", "X-Request-Id"];
+
+const ALWAYS_EXPOSED = [
+  "X-Request-Id",
+  "RateLimit-Policy",
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+  "Retry-After",
+];
+
+const envKey = route => `CORS_ORIGINS_${route.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+const splitList = value => value.split(",").map(s => s.trim()).filter(Boolean);
+
+function escapeRegExp(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileOrigin(pattern) {
+  if (pattern === "*") return () => true;
+  const withScheme = /^[a-z]+:\/\//i.test(pattern) ? pattern : `http{s}://${pattern}`;
+  const source = escapeRegExp(withScheme.replace(/\/+$/, ""))
+    .replace("http\\{s\\}", "https?")
+    .replace(/\*\\\./g, "(?:[a-z0-9-]+\\.)+");
+  const re = new RegExp(`^${source}$`, "i");
+  return origin => re.test(origin);
+}
+
+/**
+ * Resolves the effective policy for a route. Route settings extend the
+ * default policy; env origins win over both.
+ */
+export function corsPolicy(route, methods) {
+  const base = { ...DEFAULT_POLICY, ...config.default };
+  const own = config.routes?.[route] || {};
+  const policy = { ...base, ...own };
+
+  if (process.env[envKey(route)]) policy.origins = splitList(process.env[envKey(route)]);
+  else if (!own.origins && process.env.CORS_ORIGINS) policy.origins = splitList(process.env.CORS_ORIGINS);
+
+  const matchers = policy.origins.map(compileOrigin);
+  return {
+    ...policy,
+    methods: [...new Set([...methods, "OPTIONS"])],
+    allowHeaders: [...new Set([...policy.allowHeaders, ...ALWAYS_ALLOWED])],
+    // set on every response (lib/route.js); browsers only let scripts read them when exposed
+    exposeHeaders: [...new Set([...policy.exposeHeaders, ...ALWAYS_EXPOSED])],
+    anyOrigin: policy.origins.includes("*") && !policy.credentials,
+    allows: origin => matchers.some(m => m(origin)),
+  };
+}
+
+/**
+ * Applies the policy to a request. Returns true when the handler should
+ * run, false when a preflight was answered; throws FORBIDDEN (ApiError)
+ * for origins and methods the policy doesn't allow.
+ */
+export function applyCors(req, res, policy) {
+  const origin = req.headers.origin;
+  const isPreflight = req.method === "OPTIONS";
+
+  if (!policy.anyOrigin) res.setHeader("Vary", "Origin");
+
+  if (origin && !policy.allows(origin)) {
+    throw new ApiError("FORBIDDEN", "Origin not allowed", { details: { origin } });
+  }
+
+  if (origin) {
+    res.setHeader("Access-Control-Allow-Origin", policy.anyOrigin ? "*" : origin);
+    if (policy.credentials) res.setHeader("Access-Control-Allow-Credentials", "true");
+    if (policy.exposeHeaders.length) {
+      res.setHeader("Access-Control-Expose-Headers", policy.exposeHeaders.join(", "));
+    }
+  }
+
+  if (!isPreflight) return true;
+
+  const requestedMethod = req.headers["access-control-request-method"];
+  if (requestedMethod && !policy.methods.includes(requestedMethod.toUpperCase())) {
+    throw new ApiError("FORBIDDEN", "Method not allowed by CORS policy", { details: { method: requestedMethod } });
+  }
+
+  res.setHeader("Allow", policy.methods.join(", "));
+  if (origin && requestedMethod) {
+    res.setHeader("Access-Control-Allow-Methods", policy.methods.join(", "));
+    res.setHeader("Access-Control-Allow-Headers", policy.allowHeaders.join(", "));
+    res.setHeader("Access-Control-Max-Age", String(policy.maxAge));
+  }
+  res.status(204).end();
+  return false;
+}
@@ -0,0 +1,160 @@
+import {
+  createMetadataBuilder,
+  getCoinCreateFromLogs,
+  validateMetadataJSON,
+} from "@zoralabs/coins-sdk";
+import { createPublicClient, getAddress, http, isAddress, isHash } from "viem";
+import { base } from "viem/chains";
+import { createCoinCall } from "./zora.js";
+import { ApiError, BadInputError } from "./errors.js";
+
+/**
+ * Content coin creation: metadata validation and upload, then the
+ * factory calls for the creator's wallet to sign. We never send the
+ * transaction ourselves.
+ */
+const MAX_IMAGE_BYTES = 3 * 1024 * 1024; // base64 of this still fits the 4.5MB body limit
+const SYMBOL_RE = /^[A-Za-z0-9]{1,16}$/;
+const CURRENCIES = ["ZORA", "ETH", "CREATOR_COIN", "CREATOR_COIN_OR_ZORA"];
+
+export class CreateInputError extends BadInputError {
+  constructor(message) {
+    super(message);
+    this.name = "CreateInputError";
+  }
+}
+
+function optionalAddress(value, field) {
+  if (value == null || value === "") return undefined;
+  if (typeof value !== "string" || !isAddress(value, { strict: false })) {
+    throw new CreateInputError(`${field} must be a valid address`);
+  }
+  return getAddress(value);
+}
+
+/** "data:image/png;base64,…" -> File */
+function fileFromDataUrl(dataUrl) {
+  const match = /^data:([\w.+-]+\/[\w.+-]+);base64,(.+)$/s.exec(dataUrl);
+  if (!match) throw new CreateInputError("image must be a base64 data URL (data:image/png;base64,...)");
+  const bytes = Buffer.from(match[2], "base64");
+  if (!bytes.length) throw new CreateInputError("image is empty");
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    throw new CreateInputError(`image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+  }
+  return new File([bytes], "image", { type: match[1] });
+}
+
+/**
+ * Validates a create request body:
+ *   { creator, name, symbol, description, image | imageUri, currency?,
+ *     platformReferrer?, payoutRecipient? }
+ * `image` is a base64 data URL; `imageUri` an already hosted ipfs:// or https:// image.
+ */
+export function parseCreateRequest(input) {
+  if (!input || typeof input !== "object") throw new CreateInputError("Body must be a JSON object");
+
+  const creator = optionalAddress(input.creator, "creator");
+  if (!creator) throw new CreateInputError("creator must be a valid address");
+
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name || name.length > 64) throw new CreateInputError("name is required (max 64 characters)");
+
+  const symbol = typeof input.symbol === "string" ? input.symbol.trim() : "";
+  if (!SYMBOL_RE.test(symbol)) throw new CreateInputError("symbol must be 1-16 letters or digits");
+
+  const description = input.description == null ? "" : String(input.description);
+  if (description.length > 2000) throw new CreateInputError("description is longer than 2000 characters");
+
+  if (!input.image === !input.imageUri) {
+    throw new CreateInputError("Send exactly one of image (data URL) or imageUri");
+  }
+  let imageUri;
+  if (input.imageUri) {
+    imageUri = String(input.imageUri);
+    if (!/^(ipfs|ar|https):\/\//.test(imageUri)) {
+      throw new CreateInputError("imageUri must be an ipfs://, ar:// or https:// URI");
+    }
+  }
+
+  const currency = input.currency || "ZORA";
+  if (!CURRENCIES.includes(currency)) {
+    throw new CreateInputError(`currency must be one of ${CURRENCIES.join(", ")}`);
+  }
+
+  return {
+    creator,
+    name,
+    symbol,
+    description,
+    image: input.image ? fileFromDataUrl(String(input.image)) : null,
+    imageUri,
+    currency,
+    platformReferrer: optionalAddress(input.platformReferrer, "platformReferrer"),
+    payoutRecipientOverride: optionalAddress(input.payoutRecipient, "payoutRecipient"),
+  };
+}
+
+/**
+ * Builds and uploads the metadata JSON, then asks Zora for the factory
+ * calls. Resolves to { metadataUri, metadata, calls, predictedCoinAddress }.
+ */
+export async function prepareCoinCreation(request, { uploader }) {
+  const builder = createMetadataBuilder()
+    .withName(request.name)
+    .withSymbol(request.symbol)
+    .withDescription(request.description);
+  try {
+    if (request.image) builder.withImage(request.image);
+    else builder.withImageURI(request.imageUri);
+    builder.validate();
+  } catch (e) {
+    throw new CreateInputError(e.message); // e.g. an image type Zora doesn't take
+  }
+
+  let uploaded;
+  try {
+    uploaded = await builder.upload(uploader);
+  } catch (e) {
+    throw new ApiError("UPSTREAM_ERROR", `Metadata upload failed: ${e.message}`, { cause: e });
+  }
+  const { url, metadata } = uploaded;
+  // Zora only accepts ipfs/ar/https URIs; local dev uploads are plain http and skip its checks
+  const hosted = /^(ipfs|ar|https):\/\//.test(url);
+  if (hosted) {
+    // checked the way Zora reads it: from the uploaded JSON, where undefined fields are gone
+    validateMetadataJSON(JSON.parse(JSON.stringify(metadata)));
+  }
+
+  const { calls, predictedCoinAddress } = await createCoinCall({
+    creator: request.creator,
+    name: request.name,
+    symbol: request.symbol,
+    metadata: { type: "RAW_URI", uri: url },
+    currency: request.currency,
+    chainId: base.id,
+    platformReferrer: request.platformReferrer,
+    payoutRecipientOverride: request.payoutRecipientOverride,
+    skipMetadataValidation: !hosted,
+  });
+
+  return { metadataUri: url, metadata, calls, predictedCoinAddress };
+}
+
+const jsonSafe = value => JSON.parse(JSON.stringify(value, (k, v) => (typeof v === "bigint" ? v.toString() : v)));
+
+/**
+ * The CoinCreatedV4 event of a deployment: from a receipt the client
+ * already has, or fetched by transaction hash (BASE_RPC_URL, else the
+ * public Base RPC). Null when the transaction didn't create a coin.
+ */
+export async function readCoinDeployment({ receipt, txHash }) {
+  if (!receipt) {
+    if (!isHash(txHash ?? "")) throw new CreateInputError("Send a receipt object or a txHash");
+    const client = createPublicClient({ chain: base, transport: http(process.env.BASE_RPC_URL) });
+    receipt = await client.getTransactionReceipt({ hash: txHash });
+  }
+  if (!Array.isArray(receipt?.logs)) throw new CreateInputError("receipt.logs must be an array");
+
+  const deployment = getCoinCreateFromLogs(receipt);
+  return deployment ? jsonSafe(deployment) : null;
+}
@@ -0,0 +1,96 @@
+import { base } from "viem/chains";
+import { createCache } from "./cache/index.js";
+import { getCoin, getProfile, getProfileCoins, zoraError } from "./zora.js";
+import { NotFoundError } from "./errors.js";
+
+const TIMEOUT_MS = 8000;
+const RETRIES = 2;
+const CACHE_TTL_MS = 60_000; // 60s cache
+const STALE_WHILE_REVALIDATE_MS = 300_000; // 5min stale
+const STALE_IF_ERROR_MS = 86_400_000; // serve up to a day old data while Zora is failing
+
+const HANDLE_RE = /^(?:0x[0-9a-f]{40}|[a-z0-9_.-]{1,64})$/i;
+
+/** One cache entry per handle, same freshness rules get-propaganda always had. */
+const cache = createCache({
+  namespace: "creator-snapshot",
+  ttlMs: CACHE_TTL_MS,
+  staleWhileRevalidateMs: STALE_WHILE_REVALIDATE_MS,
+  staleIfErrorMs: STALE_IF_ERROR_MS,
+});
+
+export class ProfileNotFoundError extends NotFoundError {
+  constructor(handle) {
+    super(`Profile not found: ${handle}`, { details: { handle } });
+    this.name = "ProfileNotFoundError";
+    this.handle = handle;
+  }
+}
+
+/** Accepts "name", "@name" or a wallet address; returns null when it can't be a handle. */
+export function normalizeHandle(raw) {
+  const handle = String(raw ?? "").trim().replace(/^@/, "");
+  return HANDLE_RE.test(handle) ? handle : null;
+}
+
+const toNumber = v => (v == null || v === "" ? null : Number(v));
+
+/** Raw profile for a handle; throws on Zora errors and unknown handles. */
+export async function fetchProfile(handle) {
+  const resp = await getProfile(
+    { identifier: handle },
+    { timeoutMs: TIMEOUT_MS, retries: RETRIES }
+  );
+
+  if (resp.error) {
+    if (resp.status === 404) throw new ProfileNotFoundError(handle);
+    throw zoraError(resp);
+  }
+  // Zora answers unknown handles with { profile: null }
+  const profile = resp.data?.profile;
+  if (!profile) throw new ProfileNotFoundError(handle);
+
+  return {
+    handle,
+    profile,
+    timestamp: Date.now(),
+  };
+}
+
+async function fetchSnapshot(handle) {
+  const { profile, timestamp } = await fetchProfile(handle);
+  const coinAddress = profile.creatorCoin?.address;
+
+  const [coinResp, coinsResp] = await Promise.all([
+    coinAddress
+      ? getCoin({ address: coinAddress, chain: base.id }, { timeoutMs: TIMEOUT_MS, retries: RETRIES })
+      : null,
+    getProfileCoins({ identifier: handle, count: 1 }, { timeoutMs: TIMEOUT_MS, retries: RETRIES }),
+  ]);
+  if (coinsResp.error) throw zoraError(coinsResp);
+  const coin = coinResp?.data?.zora20Token;
+
+  return {
+    handle: profile.handle || handle,
+    displayName: profile.displayName || null,
+    avatar: profile.avatar?.medium || null,
+    wallet: profile.publicWallet?.walletAddress || null,
+    creatorCoin: coinAddress
+      ? {
+          address: coinAddress,
+          symbol: coin?.symbol || null,
+          marketCap: toNumber(coin?.marketCap ?? profile.creatorCoin.marketCap),
+          marketCapDelta24h: toNumber(coin?.marketCapDelta24h ?? profile.creatorCoin.marketCapDelta24h),
+          volume24h: toNumber(coin?.volume24h),
+          uniqueHolders: coin?.uniqueHolders ?? null,
+        }
+      : null,
+    createdCoinCount: coinsResp?.data?.profile?.createdCoins?.count ?? 0,
+    timestamp,
+  };
+}
+
+/** Cached, normalized creator summary. Resolves to the cache.wrap result. */
+export function getCreatorSnapshot(handle) {
+  return cache.wrap(handle.toLowerCase(), () => fetchSnapshot(handle));
+}
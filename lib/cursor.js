@@ -0,0 +1,18 @@
+/**
+ * Opaque pagination cursors: base64url JSON, so clients can't (and
+ * shouldn't) build them by hand. decodeCursor returns null for anything
+ * it didn't produce.
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return position && typeof position === "object" && !Array.isArray(position) ? position : null;
+  } catch {
+    return null;
+  }
+}
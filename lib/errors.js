@@ -0,0 +1,127 @@
+import { FixtureMissingError } from "./fixtures.js";
+import { log } from "./log.js";
+import { CircuitOpenError, UpstreamError, UpstreamTimeoutError, isRetryable } from "./upstream.js";
+
+/**
+ * The one error model every route answers with:
+ *
+ *   { "success": false,
+ *     "error": { "code": "NOT_FOUND", "message": "…", "requestId": "…", "details"?: … } }
+ *
+ * Codes are stable and machine-readable; messages are for people. Routes
+ * throw (an ApiError, or anything else) and defineRoute turns it into the
+ * response. Stacks are only included when NODE_ENV=development.
+ */
+export const ERROR_STATUS = {
+  BAD_INPUT: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  PAYLOAD_TOO_LARGE: 413,
+  URI_TOO_LONG: 414,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  UPSTREAM_REJECTED: 422,
+  RATE_LIMITED: 429,
+  INTERNAL: 500,
+  MISCONFIGURED: 500,
+  NOT_IMPLEMENTED: 501,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_UNAVAILABLE: 503,
+  UPSTREAM_TIMEOUT: 504,
+};
+
+export class ApiError extends Error {
+  constructor(code, message, { status = ERROR_STATUS[code] ?? 500, details, retryAfterMs, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** Base for each module's input validation errors (TradeInputError, …). */
+export class BadInputError extends ApiError {
+  constructor(message, options) {
+    super("BAD_INPUT", message, options);
+    this.name = "BadInputError";
+  }
+}
+
+/** Base for "that coin/profile doesn't exist" errors. */
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super("NOT_FOUND", message, options);
+    this.name = "NotFoundError";
+  }
+}
+
+export const isDevelopment = () => process.env.NODE_ENV === "development";
+
+/** Maps anything thrown to an ApiError; unknown errors become INTERNAL. */
+export function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err instanceof CircuitOpenError) {
+    return new ApiError("UPSTREAM_UNAVAILABLE", "Upstream unavailable, try again later", { retryAfterMs: err.retryAfterMs, cause: err });
+  }
+  if (err instanceof UpstreamTimeoutError) return new ApiError("UPSTREAM_TIMEOUT", err.message, { cause: err });
+  if (err instanceof UpstreamError) {
+    // the upstream understood the request and said no (e.g. a quote it can't fill);
+    // 401/403 mean our key is wrong, which is our problem rather than the caller's
+    if (err.status >= 400 && err.status < 500 && err.status !== 401 && err.status !== 403) {
+      return new ApiError("UPSTREAM_REJECTED", err.message, { details: err.body ?? undefined, cause: err });
+    }
+    return new ApiError("UPSTREAM_ERROR", err.message, { cause: err });
+  }
+  if (err instanceof FixtureMissingError) return new ApiError("UPSTREAM_ERROR", err.message, { cause: err });
+  // connection failures that outlasted the retries
+  if (isRetryable(err)) return new ApiError("UPSTREAM_ERROR", "Upstream request failed", { cause: err });
+  // body parser failures (Express in dev; Vercel's parser uses the same types)
+  if (err?.type === "entity.parse.failed") return new ApiError("BAD_INPUT", "Invalid JSON body", { cause: err });
+  if (err?.type === "entity.too.large") return new ApiError("PAYLOAD_TOO_LARGE", "Request body too large", { cause: err });
+  return new ApiError("INTERNAL", "Internal server error", { cause: err });
+}
+
+/** The response body for an error; stack and cause only in development. */
+export function errorBody(err, requestId) {
+  const apiError = toApiError(err);
+  const error = { code: apiError.code, message: apiError.message, requestId };
+  if (apiError.details !== undefined) error.details = apiError.details;
+  if (isDevelopment()) {
+    const original = apiError.cause ?? apiError;
+    if (apiError.code === "INTERNAL") error.message = original.message || error.message;
+    error.stack = original.stack;
+  }
+  return { success: false, error };
+}
+
+/**
+ * Answers with the error envelope and logs it: 5xx with the stack, 4xx
+ * as one line. context: { requestId, route }.
+ */
+export function sendError(req, res, err, { requestId, route } = {}) {
+  const apiError = toApiError(err);
+  const original = apiError.cause ?? apiError;
+  const fields = {
+    requestId,
+    route,
+    method: req.method,
+    path: (req.url || "").split("?")[0],
+    status: apiError.status,
+    code: apiError.code,
+    message: original.message,
+  };
+  if (apiError.status >= 500) log.error("request failed", { ...fields, stack: original.stack });
+  else log.warn("request rejected", fields);
+
+  if (res.headersSent) {
+    // e.g. a stream that already started; nothing useful can be sent any more
+    res.end();
+    return;
+  }
+  if (apiError.retryAfterMs != null) res.setHeader("Retry-After", Math.ceil(apiError.retryAfterMs / 1000));
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(apiError.status).json(errorBody(apiError, requestId));
+}
@@ -0,0 +1,178 @@
+import { ProfileNotFoundError, normalizeHandle } from "./creator-snapshot.js";
+import { createCache } from "./cache/index.js";
+import { zoraCoinUrl } from "./coins.js";
+import { escapeXml } from "./xml.js";
+import { getProfileCoins, zoraError } from "./zora.js";
+
+/**
+ * A creator's coins as a syndication feed: RSS 2.0, Atom 1.0 or JSON Feed 1.1.
+ *
+ * Entries are the creator's newest coins (FEED_SIZE), linking to the coin
+ * on zora.co, with the coin's media as an enclosure. GUIDs are tag: URIs
+ * built from chain and address, so they never change when a coin is
+ * renamed. ipfs:// media goes through IPFS_GATEWAY.
+ */
+export const FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+const FEED_SIZE = 50;
+const ZORA_URL = "https://zora.co";
+const IPFS_GATEWAY = (process.env.IPFS_GATEWAY || "https://ipfs.io/ipfs/").replace(/\/*$/, "/");
+
+const cache = createCache({
+  namespace: "feed",
+  ttlMs: 300_000,
+  staleWhileRevalidateMs: 900_000,
+  staleIfErrorMs: 86_400_000,
+});
+
+/** "alice.rss" -> { identifier: "alice", format: "rss" }; null when either part is invalid. */
+export function parseFeedSlug(slug) {
+  const match = /^(.+)\.(rss|atom|json)$/.exec(String(slug ?? ""));
+  const identifier = match && normalizeHandle(match[1]);
+  return identifier ? { identifier, format: match[2] } : null;
+}
+
+function mediaUrl(uri) {
+  if (!uri) return null;
+  if (uri.startsWith("ipfs://")) return IPFS_GATEWAY + uri.slice("ipfs://".length).replace(/^ipfs\//, "");
+  return /^https?:\/\//.test(uri) ? uri : null;
+}
+
+function toItem(node) {
+  const chainId = node.chainId ?? 8453;
+  const address = node.address.toLowerCase();
+  const media = node.mediaContent;
+  const enclosureUrl = mediaUrl(media?.originalUri);
+  return {
+    id: `tag:zora.co,2024:coin/${chainId}/${address}`,
+    url: zoraCoinUrl(chainId, address),
+    title: node.symbol ? `${node.name} ($${node.symbol})` : node.name,
+    summary: node.description || "",
+    published: node.createdAt ? new Date(node.createdAt).toISOString() : null,
+    image: media?.previewImage?.medium || null,
+    enclosure: enclosureUrl ? { url: enclosureUrl, type: media.mimeType || "application/octet-stream" } : null,
+  };
+}
+
+async function fetchFeed(identifier) {
+  const resp = await getProfileCoins({ identifier, count: FEED_SIZE });
+  if (resp?.status === 404) throw new ProfileNotFoundError(identifier);
+  if (resp?.error) throw zoraError(resp);
+  const profile = resp?.data?.profile;
+  if (!profile) throw new ProfileNotFoundError(identifier);
+
+  const items = (profile.createdCoins?.edges ?? [])
+    .map(({ node }) => node)
+    .filter(node => node?.address && !node.platformBlocked)
+    .map(toItem)
+    .sort((a, b) => (b.published ?? "").localeCompare(a.published ?? ""));
+
+  const handle = profile.handle || identifier;
+  return {
+    handle,
+    title: `${handle} on Zora`,
+    homeUrl: `${ZORA_URL}/@${encodeURIComponent(handle)}`,
+    avatar: profile.avatar?.previewImage?.medium || null,
+    // newest entry, so the validators only move when the feed does
+    updatedAt: items.find(i => i.published)?.published ?? null,
+    items,
+  };
+}
+
+/** Cached feed data for a handle or wallet; throws ProfileNotFoundError. Resolves to the cache.wrap result. */
+export function getCreatorFeed(identifier) {
+  return cache.wrap(identifier.toLowerCase(), () => fetchFeed(identifier));
+}
+
+const rfc822 = iso => new Date(iso).toUTCString();
+
+function renderRss(feed, selfUrl) {
+  const items = feed.items.map(item => [
+    "    <item>",
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <description>${escapeXml(item.summary)}</description>`,
+    item.published ? `      <pubDate>${rfc822(item.published)}</pubDate>` : null,
+    // RSS wants a length; 0 is the accepted value when it isn't known
+    item.enclosure ? `      <enclosure url="${escapeXml(item.enclosure.url)}" length="0" type="${escapeXml(item.enclosure.type)}"/>` : null,
+    "    </item>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">`,
+    "  <channel>",
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>Coins created by ${escapeXml(feed.handle)}</description>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    feed.updatedAt ? `    <lastBuildDate>${rfc822(feed.updatedAt)}</lastBuildDate>` : null,
+    feed.avatar ? `    <image><url>${escapeXml(feed.avatar)}</url><title>${escapeXml(feed.title)}</title><link>${escapeXml(feed.homeUrl)}</link></image>` : null,
+    ...items,
+    "  </channel>",
+    "</rss>",
+  ].filter(Boolean).join("\n") + "\n";
+}
+
+function renderAtom(feed, selfUrl) {
+  // Atom requires <updated> everywhere; an empty feed falls back to the epoch
+  const feedUpdated = feed.updatedAt || new Date(0).toISOString();
+  const entries = feed.items.map(item => [
+    "  <entry>",
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(item.url)}"/>`,
+    item.published ? `    <published>${item.published}</published>` : null,
+    `    <updated>${item.published || feedUpdated}</updated>`,
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    item.enclosure ? `    <link rel="enclosure" href="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}"/>` : null,
+    "  </entry>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <id>${escapeXml(feed.homeUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <updated>${feedUpdated}</updated>`,
+    `  <author><name>${escapeXml(feed.handle)}</name><uri>${escapeXml(feed.homeUrl)}</uri></author>`,
+    `  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <link rel="self" href="${escapeXml(selfUrl)}" type="application/atom+xml"/>`,
+    feed.avatar ? `  <icon>${escapeXml(feed.avatar)}</icon>` : null,
+    ...entries,
+    "</feed>",
+  ].filter(Boolean).join("\n") + "\n";
+}
+
+function renderJsonFeed(feed, selfUrl) {
+  const doc = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: selfUrl,
+    icon: feed.avatar || undefined,
+    authors: [{ name: feed.handle, url: feed.homeUrl, avatar: feed.avatar || undefined }],
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_text: item.summary,
+      image: item.image || undefined,
+      date_published: item.published || undefined,
+      attachments: item.enclosure ? [{ url: item.enclosure.url, mime_type: item.enclosure.type }] : undefined,
+    })),
+  };
+  return JSON.stringify(doc, null, 2) + "\n";
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+/** The feed document in `format`; selfUrl is the feed's own absolute URL. */
+export function renderFeed(feed, format, selfUrl) {
+  return RENDERERS[format](feed, selfUrl);
+}
@@ -0,0 +1,40 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { hashKey } from "./hash.js";
+import { ROOT } from "./paths.js";
+
+export const FIXTURES_DIR = process.env.ZORA_FIXTURES_DIR
+  ? path.resolve(process.env.ZORA_FIXTURES_DIR)
+  : path.join(ROOT, "fixtures", "zora");
+
+/** fixtures/zora/<call name>/<hash of input>.json */
+function fixturePath(name, input) {
+  return path.join(FIXTURES_DIR, name, `${hashKey(input)}.json`);
+}
+
+export class FixtureMissingError extends Error {
+  constructor(name, file) {
+    super(`No recorded fixture for ${name} at ${file}; run once with ZORA_MODE=record`);
+    this.name = "FixtureMissingError";
+    this.file = file;
+  }
+}
+
+export async function readFixture(name, input) {
+  const file = fixturePath(name, input);
+  try {
+    const fixture = JSON.parse(await readFile(file, "utf8"));
+    return fixture.result;
+  } catch (e) {
+    if (e.code === "ENOENT") throw new FixtureMissingError(name, file);
+    throw e;
+  }
+}
+
+export async function writeFixture(name, input, result) {
+  const file = fixturePath(name, input);
+  await mkdir(path.dirname(file), { recursive: true });
+  const fixture = { name, input, recordedAt: new Date().toISOString(), result };
+  const json = JSON.stringify(fixture, (k, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+  await writeFile(file, json + "\n");
+}
@@ -0,0 +1,255 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+import { Kind, parse, print } from "graphql";
+import { hashKey } from "./hash.js";
+import { log } from "./log.js";
+import { ROOT } from "./paths.js";
+
+/**
+ * Request checks for the GraphQL gateway (api/proxy.js).
+ *
+ * Only operations saved as .graphql files in graphql/ (GRAPHQL_ALLOWLIST_DIR
+ * to move it) are forwarded. Clients either send the full query text, which
+ * must match an allowlisted document after normalization, or only its hash
+ * as an Apollo persisted query:
+ *
+ *   { "extensions": { "persistedQuery": { "version": 1, "sha256Hash": "…" } } }
+ *
+ * The hash is sha256 of either the file's text or its normalized form.
+ *
+ * Limits (env): GRAPHQL_MAX_BODY_BYTES (16384), GRAPHQL_MAX_DEPTH (10),
+ * GRAPHQL_MAX_ALIASES (15).
+ *
+ * Query results are cached per operation as set in graphql/cache.json:
+ *
+ *   { "default": { "ttlMs": 30000 }, "operations": { "UserTokens": { "ttlMs": 60000 } } }
+ *
+ * GRAPHQL_CACHE_TTL_<OPERATION> (ms, e.g. GRAPHQL_CACHE_TTL_USERTOKENS)
+ * overrides the file; a TTL of 0 turns caching off for that operation.
+ */
+export const ALLOWLIST_DIR = process.env.GRAPHQL_ALLOWLIST_DIR
+  ? path.resolve(process.env.GRAPHQL_ALLOWLIST_DIR)
+  : path.join(ROOT, "graphql");
+
+export const LIMITS = {
+  maxBodyBytes: Number(process.env.GRAPHQL_MAX_BODY_BYTES) || 16_384,
+  maxDepth: Number(process.env.GRAPHQL_MAX_DEPTH) || 10,
+  maxAliases: Number(process.env.GRAPHQL_MAX_ALIASES) || 15,
+};
+
+export class GatewayError extends Error {
+  constructor(message, { status = 400, code = "BAD_REQUEST" } = {}) {
+    super(message);
+    this.name = "GatewayError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sha256 = text => createHash("sha256").update(text).digest("hex");
+
+function loadAllowlist(dir) {
+  const byHash = new Map();
+  let files;
+  try {
+    files = readdirSync(dir).filter(f => f.endsWith(".graphql"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    log.warn("no GraphQL allowlist; the proxy will reject everything", { dir });
+    return byHash;
+  }
+  for (const file of files) {
+    const text = readFileSync(path.join(dir, file), "utf8");
+    const query = print(parse(text));
+    const entry = { file, query, hash: sha256(query) };
+    byHash.set(entry.hash, entry);
+    byHash.set(sha256(text), entry);
+  }
+  return byHash;
+}
+
+const allowlist = loadAllowlist(ALLOWLIST_DIR);
+
+/** Fields nested inside a selection set, following fragment spreads. */
+function selectionDepth(selectionSet, fragments, visiting = new Set()) {
+  if (!selectionSet) return 0;
+  let max = 0;
+  for (const sel of selectionSet.selections) {
+    let depth;
+    if (sel.kind === Kind.FIELD) {
+      depth = 1 + selectionDepth(sel.selectionSet, fragments, visiting);
+    } else if (sel.kind === Kind.INLINE_FRAGMENT) {
+      depth = selectionDepth(sel.selectionSet, fragments, visiting);
+    } else {
+      const name = sel.name.value;
+      const fragment = fragments.get(name);
+      if (!fragment) throw new GatewayError(`Unknown fragment "${name}"`);
+      if (visiting.has(name)) throw new GatewayError(`Fragment "${name}" spreads itself`);
+      visiting.add(name);
+      depth = selectionDepth(fragment.selectionSet, fragments, visiting);
+      visiting.delete(name);
+    }
+    max = Math.max(max, depth);
+  }
+  return max;
+}
+
+function countAliases(node) {
+  let count = 0;
+  const walk = n => {
+    if (n.kind === Kind.FIELD && n.alias) count++;
+    for (const sel of n.selectionSet?.selections || []) walk(sel);
+  };
+  for (const def of node.definitions) walk(def);
+  return count;
+}
+
+function parseJsonParam(value, name) {
+  if (value == null || value === "") return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new GatewayError(`${name} must be JSON`);
+  }
+}
+
+/** GET carries the request in the query string (GraphQL over HTTP), POST in the body. */
+function readPayload(req) {
+  if (req.method === "GET") {
+    const size = Buffer.byteLength(req.url || "");
+    if (size > LIMITS.maxBodyBytes) {
+      throw new GatewayError(`Request URL exceeds ${LIMITS.maxBodyBytes} bytes`, { status: 414, code: "URL_TOO_LONG" });
+    }
+    const { query, operationName, variables, extensions } = req.query;
+    return {
+      query,
+      operationName: operationName || null,
+      variables: parseJsonParam(variables, "variables"),
+      extensions: parseJsonParam(extensions, "extensions"),
+    };
+  }
+
+  const raw = typeof req.body === "string" ? req.body : JSON.stringify(req.body ?? null);
+  const size = Number(req.headers["content-length"]) || Buffer.byteLength(raw);
+  if (size > LIMITS.maxBodyBytes) {
+    throw new GatewayError(`Request body exceeds ${LIMITS.maxBodyBytes} bytes`, { status: 413, code: "BODY_TOO_LARGE" });
+  }
+  if (typeof req.body !== "string") return req.body;
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    throw new GatewayError("Body must be a JSON GraphQL request");
+  }
+}
+
+/**
+ * Validates a gateway request and resolves it to the allowlisted operation.
+ * Returns the payload to forward upstream plus the operation type and hash.
+ */
+export function prepareOperation(req) {
+  const payload = readPayload(req);
+  if (Array.isArray(payload)) throw new GatewayError("Batched operations are not supported");
+  if (!payload || typeof payload !== "object") throw new GatewayError("Body must be a JSON GraphQL request");
+
+  const { query, operationName = null, extensions } = payload;
+  const variables = payload.variables ?? {};
+  if (typeof variables !== "object" || Array.isArray(variables)) {
+    throw new GatewayError("variables must be an object");
+  }
+
+  let entry;
+  if (typeof query === "string" && query.trim()) {
+    let document;
+    try {
+      document = parse(query);
+    } catch (e) {
+      throw new GatewayError(e.message, { code: "GRAPHQL_PARSE_FAILED" });
+    }
+    checkLimits(document);
+    entry = allowlist.get(sha256(print(document)));
+    if (!entry) throw new GatewayError("Operation is not allowlisted", { status: 403, code: "OPERATION_NOT_ALLOWED" });
+  } else {
+    const hash = extensions?.persistedQuery?.sha256Hash;
+    if (!hash) throw new GatewayError("Missing query");
+    entry = allowlist.get(hash);
+    // Apollo clients resend the full text when they see this code
+    if (!entry) throw new GatewayError("PersistedQueryNotFound", { code: "PERSISTED_QUERY_NOT_FOUND" });
+  }
+
+  const document = parse(entry.query);
+  const operations = document.definitions.filter(d => d.kind === Kind.OPERATION_DEFINITION);
+  const operation = operationName
+    ? operations.find(op => op.name?.value === operationName)
+    : operations.length === 1 ? operations[0] : null;
+  if (!operation) {
+    throw new GatewayError(operationName
+      ? `Unknown operation "${operationName}"`
+      : "operationName is required when the document has several operations");
+  }
+  if (operation.operation === "subscription") {
+    throw new GatewayError("Subscriptions are not supported", { status: 405, code: "OPERATION_NOT_SUPPORTED" });
+  }
+  if (req.method === "GET" && operation.operation !== "query") {
+    throw new GatewayError("Mutations must be sent with POST", { status: 405, code: "METHOD_NOT_ALLOWED" });
+  }
+
+  return {
+    payload: { query: entry.query, variables, operationName: operation.name?.value ?? null },
+    type: operation.operation,
+    hash: entry.hash,
+  };
+}
+
+function checkLimits(document) {
+  const fragments = new Map(
+    document.definitions
+      .filter(d => d.kind === Kind.FRAGMENT_DEFINITION)
+      .map(d => [d.name.value, d])
+  );
+  for (const def of document.definitions) {
+    if (def.kind !== Kind.OPERATION_DEFINITION) continue;
+    const depth = selectionDepth(def.selectionSet, fragments);
+    if (depth > LIMITS.maxDepth) {
+      throw new GatewayError(`Query depth ${depth} exceeds ${LIMITS.maxDepth}`, { code: "QUERY_TOO_DEEP" });
+    }
+  }
+  const aliases = countAliases(document);
+  if (aliases > LIMITS.maxAliases) {
+    throw new GatewayError(`${aliases} aliases exceed ${LIMITS.maxAliases}`, { code: "TOO_MANY_ALIASES" });
+  }
+}
+
+/** GraphQL-over-HTTP style error body. */
+export function graphqlError(message, code) {
+  return { errors: [{ message, extensions: { code } }] };
+}
+
+function loadCacheConfig(dir) {
+  try {
+    return JSON.parse(readFileSync(path.join(dir, "cache.json"), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return {};
+  }
+}
+
+const cacheConfig = loadCacheConfig(ALLOWLIST_DIR);
+const DEFAULT_CACHE_POLICY = { ttlMs: 30_000, staleWhileRevalidateMs: 0 };
+
+/** Cache settings for an operation; ttlMs 0 means don't cache. */
+export function cachePolicy(operationName) {
+  const policy = {
+    ...DEFAULT_CACHE_POLICY,
+    ...cacheConfig.default,
+    ...cacheConfig.operations?.[operationName],
+  };
+  const envKey = `GRAPHQL_CACHE_TTL_${String(operationName).toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+  if (process.env[envKey] != null) policy.ttlMs = Number(process.env[envKey]) || 0;
+  return policy;
+}
+
+/** Normalized query hash + operation + variables with sorted keys. */
+export function operationCacheKey({ hash, payload }) {
+  return hashKey({ hash, operationName: payload.operationName, variables: payload.variables }, 32);
+}
@@ -0,0 +1,20 @@
+import { createHash } from "node:crypto";
+
+/**
+ * JSON.stringify with sorted object keys, so equal inputs always serialize
+ * the same way. BigInts are written as strings.
+ */
+export function stableStringify(value) {
+  if (typeof value === "bigint") return JSON.stringify(value.toString());
+  if (value === undefined) return "null";
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+}
+
+/** Short sha256 hex digest of a value's stable serialization. */
+export function hashKey(value, length = 16) {
+  const text = typeof value === "string" ? value : stableStringify(value);
+  return createHash("sha256").update(text).digest("hex").slice(0, length);
+}
@@ -0,0 +1,163 @@
+import path from "node:path";
+import { base } from "viem/chains";
+import { appendJsonl, readJsonl } from "./jsonl.js";
+import { log } from "./log.js";
+import { DATA_DIR } from "./paths.js";
+import { chainFromId, parseCoinAddress } from "./coins.js";
+import { getCreatorSnapshot, normalizeHandle } from "./creator-snapshot.js";
+import { getCoin } from "./zora.js";
+import { pool } from "./upstream.js";
+
+/**
+ * Market cap / volume / holder history.
+ *
+ * The recorder samples HISTORY_WATCHLIST — comma-separated coin addresses
+ * ("0xabc…", or "<chainId>:0xabc…") and creator handles ("@propaganda";
+ * their creator coin is sampled) — and appends one JSONL line per sample
+ * to .data/history/YYYY-MM-DD.jsonl (HISTORY_DIR to move it).
+ */
+export const HISTORY_DIR = process.env.HISTORY_DIR
+  ? path.resolve(process.env.HISTORY_DIR)
+  : path.join(DATA_DIR, "history");
+
+const ADDRESS_RE = /^0x[0-9a-f]{40}$/i;
+const DAY_MS = 86_400_000;
+const SAMPLE_CONCURRENCY = 4;
+const METRICS = ["marketCap", "volume24h", "uniqueHolders"];
+
+export const INTERVALS = {
+  "1m": 60_000,
+  "5m": 300_000,
+  "15m": 900_000,
+  "1h": 3_600_000,
+  "4h": 14_400_000,
+  "1d": DAY_MS,
+};
+
+export function parseWatchlist(raw = process.env.HISTORY_WATCHLIST || "") {
+  const entries = [];
+  for (const item of raw.split(",").map(s => s.trim()).filter(Boolean)) {
+    try {
+      if (item.includes(":") || ADDRESS_RE.test(item)) {
+        const [chain, address] = item.includes(":") ? item.split(":") : [null, item];
+        entries.push({ type: "coin", address: parseCoinAddress(address).toLowerCase(), chain: chainFromId(chain).id });
+      } else if (normalizeHandle(item)) {
+        entries.push({ type: "handle", handle: normalizeHandle(item) });
+      } else {
+        log.warn("ignoring history watchlist entry", { entry: item });
+      }
+    } catch (e) {
+      log.warn("ignoring history watchlist entry", { entry: item, message: e.message });
+    }
+  }
+  return entries;
+}
+
+const toNumber = v => (v == null || v === "" ? null : Number(v));
+const dayFile = t => path.join(HISTORY_DIR, `${new Date(t).toISOString().slice(0, 10)}.jsonl`);
+
+async function sample(entry) {
+  const t = Date.now();
+  if (entry.type === "handle") {
+    const { value } = await getCreatorSnapshot(entry.handle);
+    if (!value.creatorCoin) return null;
+    return {
+      t: value.timestamp, // snapshot may come from cache; record when it was fetched
+      address: value.creatorCoin.address.toLowerCase(),
+      chain: base.id,
+      handle: entry.handle,
+      marketCap: value.creatorCoin.marketCap,
+      volume24h: value.creatorCoin.volume24h,
+      uniqueHolders: value.creatorCoin.uniqueHolders,
+    };
+  }
+
+  const resp = await getCoin({ address: entry.address, chain: entry.chain });
+  const coin = resp?.data?.zora20Token;
+  if (!coin) return null;
+  return {
+    t,
+    address: entry.address,
+    chain: entry.chain,
+    marketCap: toNumber(coin.marketCap),
+    volume24h: toNumber(coin.volume24h),
+    uniqueHolders: coin.uniqueHolders ?? null,
+  };
+}
+
+/** Samples every watchlist entry once and appends the results. */
+export async function recordSnapshots(watchlist = parseWatchlist()) {
+  const results = await pool(watchlist, sample, SAMPLE_CONCURRENCY);
+  const samples = [];
+  const errors = [];
+  results.forEach((r, i) => {
+    if (r instanceof Error) errors.push({ entry: watchlist[i], error: r.message });
+    else if (r) samples.push(r);
+  });
+  // handle samples carry their snapshot's time, which can be on an earlier day
+  const byFile = new Map();
+  for (const s of samples) {
+    const file = dayFile(s.t);
+    byFile.set(file, [...(byFile.get(file) ?? []), s]);
+  }
+  for (const [file, rows] of byFile) await appendJsonl(file, rows);
+  return { recorded: samples.length, errors };
+}
+
+/** Epoch ms, epoch seconds or an ISO date. */
+export function parseTime(value) {
+  if (value == null || value === "") return null;
+  if (/^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? NaN : t;
+}
+
+/** Picks an interval giving at most ~500 buckets for the range. */
+export function autoInterval(rangeMs) {
+  return Object.keys(INTERVALS).find(k => rangeMs / INTERVALS[k] <= 500) || "1d";
+}
+
+function ohlc(bucket, metric, value) {
+  if (value == null || Number.isNaN(value)) return;
+  const o = bucket[metric];
+  if (!o) {
+    bucket[metric] = { open: value, high: value, low: value, close: value };
+    return;
+  }
+  o.high = Math.max(o.high, value);
+  o.low = Math.min(o.low, value);
+  o.close = value;
+}
+
+/**
+ * Downsamples stored samples for one coin into fixed buckets, each with
+ * open/high/low/close per metric. Empty buckets are omitted.
+ */
+export async function queryHistory({ address, from, to, intervalMs }) {
+  const target = address.toLowerCase();
+  const rows = [];
+
+  for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+    for await (const s of readJsonl(dayFile(day))) {
+      if (s.address === target && s.t >= from && s.t <= to) rows.push(s);
+    }
+  }
+  // files are appended in time order, but two recorders may interleave
+  rows.sort((a, b) => a.t - b.t);
+
+  const buckets = [];
+  for (const s of rows) {
+    const start = Math.floor(s.t / intervalMs) * intervalMs;
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.t !== start) {
+      bucket = { t: start, samples: 0 };
+      buckets.push(bucket);
+    }
+    bucket.samples++;
+    for (const metric of METRICS) ohlc(bucket, metric, s[metric]);
+  }
+  return buckets;
+}
@@ -0,0 +1,169 @@
+import path from "node:path";
+import { createCache } from "./cache/index.js";
+import { createJsonStore } from "./json-store.js";
+import { DATA_DIR, dataDirIsReadOnly } from "./paths.js";
+import { getCoinHolders, zoraError } from "./zora.js";
+import { NotFoundError } from "./errors.js";
+
+/**
+ * Holder lists and concentration stats for a coin.
+ *
+ * Zora doesn't say when a wallet started holding, so "new holders" are
+ * wallets we haven't seen in an earlier snapshot of the same coin. The
+ * first snapshot becomes the baseline; nobody in it counts as new.
+ *
+ * First-seen times are kept per coin under HOLDERS_DIR (default
+ * .data/holders). Where DATA_DIR can't be written (Vercel without one)
+ * they fall back to the shared cache, which can lose them on eviction or
+ * a cold start; the counts then say `bestEffort: true` and start over
+ * from `since`.
+ */
+export const HOLDERS_DIR = process.env.HOLDERS_DIR
+  ? path.resolve(process.env.HOLDERS_DIR)
+  : path.join(DATA_DIR, "holders");
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = Number(process.env.HOLDERS_MAX_PAGES) || 20; // 2000 holders analyzed per coin
+const FIRST_SEEN_TTL_MS = 90 * 86_400_000;
+const NEW_HOLDER_WINDOWS = { "24h": 86_400_000, "7d": 7 * 86_400_000 };
+
+const cache = createCache({
+  namespace: "coin-holders",
+  ttlMs: 120_000,
+  staleWhileRevalidateMs: 600_000,
+  staleIfErrorMs: 3_600_000,
+});
+
+const firstSeenCache = createCache({ namespace: "holder-first-seen", ttlMs: FIRST_SEEN_TTL_MS });
+const firstSeenFiles = new Map(); // coin key -> json store
+
+export class CoinNotFoundError extends NotFoundError {
+  constructor(address) {
+    super(`Coin not found: ${address}`, { details: { address } });
+    this.name = "CoinNotFoundError";
+    this.address = address;
+  }
+}
+
+async function fetchAllHolders(address, chain) {
+  const holders = [];
+  let after;
+  let total = null;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const resp = await getCoinHolders({ address, chainId: chain, count: PAGE_SIZE, after });
+    if (resp.error) {
+      if (resp.status === 404) throw new CoinNotFoundError(address);
+      throw zoraError(resp);
+    }
+    const balances = resp.data?.zora20Token?.tokenBalances;
+    if (!balances) throw new CoinNotFoundError(address);
+
+    total = balances.count ?? total;
+    for (const { node } of balances.edges || []) {
+      holders.push({
+        address: node.ownerAddress.toLowerCase(),
+        handle: node.ownerProfile?.handle || null,
+        avatar: node.ownerProfile?.avatar?.previewImage?.small || null,
+        balance: node.balance,
+      });
+    }
+    if (!balances.pageInfo?.hasNextPage || !balances.pageInfo.endCursor) {
+      return { holders, total: total ?? holders.length, complete: true };
+    }
+    after = balances.pageInfo.endCursor;
+  }
+  return { holders, total: total ?? holders.length, complete: false };
+}
+
+/** Largest balance first; address breaks ties so the order is total. */
+export function compareHolders(a, b) {
+  const diff = Number(b.balance) - Number(a.balance);
+  if (diff !== 0) return diff;
+  return a.address < b.address ? -1 : a.address > b.address ? 1 : 0;
+}
+
+/**
+ * 0 when every holder has the same balance, approaching 1 when one wallet
+ * holds everything. Expects balances sorted ascending.
+ */
+export function gini(ascending) {
+  const n = ascending.length;
+  const sum = ascending.reduce((s, x) => s + x, 0);
+  if (!n || !sum) return 0;
+  const weighted = ascending.reduce((s, x, i) => s + (i + 1) * x, 0);
+  return (2 * weighted) / (n * sum) - (n + 1) / n;
+}
+
+/** Adds this snapshot's holders to the coin's first-seen times; resolves to { state, persistent }. */
+async function recordFirstSeen(key, holders, now) {
+  const record = state => {
+    state.baselineAt ??= now;
+    const current = new Set(holders.map(h => h.address));
+    for (const address of current) {
+      if (!(address in state.firstSeen)) state.firstSeen[address] = now;
+    }
+    // wallets that left long ago would otherwise pile up forever
+    for (const [address, seen] of Object.entries(state.firstSeen)) {
+      if (!current.has(address) && seen < now - FIRST_SEEN_TTL_MS) delete state.firstSeen[address];
+    }
+    return state;
+  };
+  const initial = () => ({ baselineAt: null, firstSeen: {} });
+
+  if (dataDirIsReadOnly()) {
+    const state = record((await firstSeenCache.get(key)) || initial());
+    await firstSeenCache.set(key, state);
+    return { state, persistent: false };
+  }
+  if (!firstSeenFiles.has(key)) {
+    firstSeenFiles.set(key, createJsonStore(path.join(HOLDERS_DIR, `${key.replace(":", "-")}.json`), initial));
+  }
+  return { state: await firstSeenFiles.get(key).update(record), persistent: true };
+}
+
+async function countNewHolders(key, holders, now) {
+  const { state, persistent } = await recordFirstSeen(key, holders, now);
+
+  const counts = { since: new Date(state.baselineAt).toISOString(), bestEffort: !persistent };
+  for (const [label, windowMs] of Object.entries(NEW_HOLDER_WINDOWS)) {
+    counts[label] = holders.filter(h => {
+      const seen = state.firstSeen[h.address];
+      return seen > state.baselineAt && seen >= now - windowMs;
+    }).length;
+  }
+  return counts;
+}
+
+async function fetchHolderSnapshot(address, chain) {
+  const now = Date.now();
+  const { holders, total, complete } = await fetchAllHolders(address, chain);
+  holders.sort(compareHolders);
+
+  const amounts = holders.map(h => Number(h.balance));
+  const analyzedSupply = amounts.reduce((s, x) => s + x, 0);
+  const top10 = amounts.slice(0, 10).reduce((s, x) => s + x, 0);
+
+  return {
+    address,
+    chain,
+    totalHolders: total,
+    holders: holders.map((h, i) => ({
+      ...h,
+      share: analyzedSupply ? amounts[i] / analyzedSupply : 0,
+    })),
+    stats: {
+      analyzedHolders: holders.length,
+      complete,
+      top10Share: analyzedSupply ? top10 / analyzedSupply : 0,
+      gini: gini([...amounts].reverse()),
+      newHolders: await countNewHolders(`${chain}:${address}`, holders, now),
+    },
+    timestamp: now,
+  };
+}
+
+/** Cached holder list (largest first) and stats for one coin; resolves to the cache.wrap result. */
+export function getHolderSnapshot(address, chain) {
+  const normalized = address.toLowerCase();
+  return cache.wrap(`${chain}:${normalized}`, () => fetchHolderSnapshot(normalized, chain));
+}
@@ -0,0 +1,45 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * A small JSON document on disk for state we own (watchlists, API keys).
+ * Updates are serialized within the process and written atomically, so
+ * a crash never leaves half a file. Like everything under DATA_DIR this
+ * is per-instance on Vercel; point DATA_DIR at a volume to keep it.
+ */
+export function createJsonStore(file, initial = () => ({})) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return initial();
+      throw e;
+    }
+  }
+
+  async function write(doc) {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(doc, null, 2) + "\n");
+    await rename(tmp, file);
+  }
+
+  return {
+    file,
+    read,
+
+    /** fn(doc) mutates the document in place; resolves to what fn returns. */
+    update(fn) {
+      const run = queue.then(async () => {
+        const doc = await read();
+        const result = await fn(doc);
+        await write(doc);
+        return result;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+import { createReadStream } from "node:fs";
+import { appendFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline";
+
+/**
+ * Append-only JSON Lines files: one record per line, never rewritten.
+ */
+export async function appendJsonl(file, records) {
+  const list = Array.isArray(records) ? records : [records];
+  if (!list.length) return;
+  await mkdir(path.dirname(file), { recursive: true });
+  await appendFile(file, list.map(r => JSON.stringify(r)).join("\n") + "\n");
+}
+
+/**
+ * Streams records from a JSONL file. Missing files read as empty; a torn
+ * last line (crash mid-append) is skipped rather than failing the read.
+ */
+export async function* readJsonl(file) {
+  let stream;
+  try {
+    stream = createReadStream(file, { encoding: "utf8" });
+    await new Promise((resolve, reject) => {
+      stream.once("open", resolve);
+      stream.once("error", reject);
+    });
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // partial write; ignore
+    }
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Structured server logs: one JSON object per line, so Vercel's log
+ * drains and `grep requestId` both work.
+ *
+ *   log.error("request failed", { requestId, route, status });
+ *
+ * LOG_LEVEL (debug | info | warn | error, default info) drops anything
+ * quieter.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const line = JSON.stringify({ level, time: new Date().toISOString(), msg, ...fields });
+  if (level === "error" || level === "warn") console.error(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
@@ -0,0 +1,10 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/** Local state (file cache, stores, logs). Ephemeral on Vercel; point DATA_DIR at a volume elsewhere. */
+export const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(ROOT, ".data");
+
+/** On Vercel the default DATA_DIR is inside the read-only deployment; only an explicit one can be written. */
+export const dataDirIsReadOnly = () => Boolean(process.env.VERCEL) && !process.env.DATA_DIR;
@@ -0,0 +1,108 @@
+import { formatUnits } from "viem";
+import { getProfileBalances, zoraError } from "./zora.js";
+import { normalizeCoin } from "./coins.js";
+
+/**
+ * Coin balances of a profile, every page of them, and what they're worth.
+ */
+const PAGE_SIZE = 100;
+const MAX_PAGES = Number(process.env.BALANCES_MAX_PAGES) || 30; // 3000 positions
+const COIN_DECIMALS = 18; // every Zora coin is an 18-decimal ERC20
+
+/**
+ * Pages through getProfileBalances. Resolves to the coinBalances
+ * connection with every page's edges merged (`complete: false` if we
+ * stopped at MAX_PAGES), or null for an unknown profile.
+ */
+export async function fetchAllBalances(identifier) {
+  const edges = [];
+  let count = null;
+  let after;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const resp = await getProfileBalances({ identifier, count: PAGE_SIZE, after });
+    if (resp.error) {
+      if (resp.status === 404) return null;
+      throw zoraError(resp);
+    }
+    const coinBalances = resp.data?.profile?.coinBalances;
+    if (!coinBalances) return page === 0 ? null : { count: count ?? edges.length, edges, complete: true };
+
+    count = coinBalances.count ?? count;
+    edges.push(...(coinBalances.edges || []));
+    if (!coinBalances.pageInfo?.hasNextPage || !coinBalances.pageInfo.endCursor) {
+      return { count: count ?? edges.length, edges, complete: true };
+    }
+    after = coinBalances.pageInfo.endCursor;
+  }
+  return { count: count ?? edges.length, edges, complete: false };
+}
+
+const toNumber = v => (v == null || v === "" ? null : Number(v));
+
+/** Raw integer balances are in wei; anything with a decimal point already isn't. */
+function toAmount(balance) {
+  const raw = String(balance ?? "0");
+  return /^\d+$/.test(raw) ? Number(formatUnits(BigInt(raw), COIN_DECIMALS)) : Number(raw);
+}
+
+/** USD price per coin: Zora's quote, else market cap over supply. */
+function priceOf(coin) {
+  const quoted = toNumber(coin.tokenPrice?.priceInUsdc);
+  if (quoted != null) return quoted;
+  const marketCap = toNumber(coin.marketCap);
+  const supply = toNumber(coin.totalSupply);
+  return marketCap != null && supply ? marketCap / supply : null;
+}
+
+/**
+ * Values every position and their share of the total. Positions without a
+ * price are kept with valueUsd null and left out of the total.
+ */
+export function valuePortfolio(edges) {
+  const positions = edges
+    .filter(({ node }) => node.coin)
+    .map(({ node }) => {
+      const amount = toAmount(node.balance);
+      const priceUsd = priceOf(node.coin);
+      return {
+        coin: normalizeCoin(node.coin),
+        balance: node.balance,
+        amount,
+        priceUsd,
+        valueUsd: priceUsd != null ? amount * priceUsd : null,
+        change24h: toNumber(node.coin.marketCapDelta24h),
+      };
+    });
+
+  const totalValueUsd = positions.reduce((sum, p) => sum + (p.valueUsd || 0), 0);
+  for (const p of positions) {
+    p.allocation = p.valueUsd != null && totalValueUsd ? p.valueUsd / totalValueUsd : null;
+  }
+
+  return {
+    totalValueUsd,
+    positionCount: positions.length,
+    pricedCount: positions.filter(p => p.valueUsd != null).length,
+    positions,
+  };
+}
+
+export const SORT_FIELDS = {
+  value: p => p.valueUsd,
+  amount: p => p.amount,
+  marketCap: p => toNumber(p.coin.marketCap),
+  change24h: p => p.change24h,
+};
+
+/** Sorts by a SORT_FIELDS key; unpriced / unknown values always go last. */
+export function sortPositions(positions, field = "value", order = "desc") {
+  const get = SORT_FIELDS[field];
+  const dir = order === "asc" ? 1 : -1;
+  return [...positions].sort((a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (x == null || y == null) return (x == null) - (y == null);
+    return (x - y) * dir;
+  });
+}
@@ -0,0 +1,149 @@
+import { createRedisClient } from "./redis.js";
+import { ApiError } from "./errors.js";
+import { log } from "./log.js";
+
+/**
+ * Per-client rate limiting in fixed windows of "cost units". Each route
+ * declares a cost (defineRoute's `cost`, default 1) so fan-out endpoints
+ * spend more of a client's budget than single lookups.
+ *
+ * Clients are keyed by consumer key when the request carries one
+ * (req.consumer, with its tier) and by IP otherwise ("anonymous" tier).
+ * Tiers come from RATE_LIMIT_TIERS (JSON, merged over the defaults below).
+ *
+ * Counters live in RATE_LIMIT_STORE: memory (default, per instance), redis
+ * (RATE_LIMIT_REDIS_URL or REDIS_URL, any Redis-protocol server, shared
+ * across instances) or off.
+ */
+const DEFAULT_TIERS = {
+  anonymous: { limit: 120, windowMs: 60_000 },
+  standard: { limit: 600, windowMs: 60_000 },
+  partner: { limit: 3000, windowMs: 60_000 },
+  unlimited: { limit: 0, windowMs: 60_000 }, // 0 = no limit
+};
+
+export const TIERS = loadTiers();
+
+function loadTiers() {
+  if (!process.env.RATE_LIMIT_TIERS) return DEFAULT_TIERS;
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMIT_TIERS);
+    const tiers = { ...DEFAULT_TIERS };
+    for (const [name, tier] of Object.entries(overrides)) tiers[name] = { ...DEFAULT_TIERS.standard, ...tier };
+    return tiers;
+  } catch (e) {
+    log.warn("ignoring invalid RATE_LIMIT_TIERS", { message: e.message });
+    return DEFAULT_TIERS;
+  }
+}
+
+/** Counters in this process; entries go when their window ends. */
+export function createMemoryCounter() {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  return {
+    name: "memory",
+
+    async hit(key, cost, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: (Math.floor(now / windowMs) + 1) * windowMs };
+        windows.set(key, entry);
+        if (windows.size > 10_000) sweep(now);
+      }
+      entry.count += cost;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+
+  function sweep(now) {
+    for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+  }
+}
+
+/** Counters on a Redis-protocol server: INCRBY per window key, expired by the server. */
+export function createRedisCounter({ url, prefix = "zcp:rl:", commandTimeoutMs }) {
+  const redis = createRedisClient(url, { commandTimeoutMs });
+
+  return {
+    name: "redis",
+
+    async hit(key, cost, windowMs) {
+      const resetAt = (Math.floor(Date.now() / windowMs) + 1) * windowMs;
+      const windowKey = `${prefix}${key}:${resetAt}`;
+      const count = await redis.command(["INCRBY", windowKey, cost]);
+      // first hit in the window sets the expiry; a spare second covers clock skew between instances
+      if (count === cost) await redis.command(["PEXPIRE", windowKey, resetAt - Date.now() + 1000]);
+      return { count, resetAt };
+    },
+  };
+}
+
+let sharedCounter;
+
+export function defaultCounter() {
+  if (sharedCounter !== undefined) return sharedCounter;
+  const store = process.env.RATE_LIMIT_STORE || "memory";
+  if (store === "off") {
+    sharedCounter = null;
+  } else if (store === "redis") {
+    const url = process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL;
+    if (!url) throw new Error("RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL or REDIS_URL");
+    sharedCounter = createRedisCounter({ url });
+  } else {
+    sharedCounter = createMemoryCounter();
+  }
+  return sharedCounter;
+}
+
+/**
+ * The caller's address. X-Forwarded-For is only believed behind a proxy
+ * that sets it (on Vercel, or with TRUST_PROXY=1); anywhere else callers
+ * could pick a fresh identity per request, so the socket address is used.
+ */
+export function clientIp(req) {
+  const trustProxy = Boolean(process.env.VERCEL) || process.env.TRUST_PROXY === "1";
+  const forwarded = trustProxy ? String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() : "";
+  return forwarded || req.socket?.remoteAddress || "unknown";
+}
+
+/** { id, tier } the request is counted against. */
+export function clientFor(req) {
+  if (req.consumer) return { id: `key:${req.consumer.id}`, tier: req.consumer.tier || "standard" };
+  return { id: `ip:${clientIp(req)}`, tier: "anonymous" };
+}
+
+/**
+ * Counts the request and sets the RateLimit-* headers. Throws
+ * RATE_LIMITED (with Retry-After) once the client's window is spent. If
+ * the counter store fails the request is let through: a Redis outage
+ * shouldn't take the API down with it.
+ */
+export async function enforceRateLimit(req, res, { route, cost = 1, counter = defaultCounter() } = {}) {
+  if (!counter || cost <= 0) return;
+  const client = clientFor(req);
+  const tier = TIERS[client.tier] ?? TIERS.anonymous;
+  if (!tier.limit) return;
+
+  let usage;
+  try {
+    usage = await counter.hit(client.id, cost, tier.windowMs);
+  } catch (e) {
+    log.warn("rate limit store failed; allowing request", { requestId: req.requestId, route, message: e.message });
+    return;
+  }
+
+  const resetSeconds = Math.max(0, Math.ceil((usage.resetAt - Date.now()) / 1000));
+  res.setHeader("RateLimit-Policy", `${tier.limit};w=${Math.round(tier.windowMs / 1000)}`);
+  res.setHeader("RateLimit-Limit", tier.limit);
+  res.setHeader("RateLimit-Remaining", Math.max(0, tier.limit - usage.count));
+  res.setHeader("RateLimit-Reset", resetSeconds);
+
+  if (usage.count > tier.limit) {
+    throw new ApiError("RATE_LIMITED", `Rate limit exceeded; ${tier.limit} units per ${Math.round(tier.windowMs / 1000)}s`, {
+      retryAfterMs: resetSeconds * 1000,
+      details: { tier: client.tier, limit: tier.limit, cost, resetSeconds },
+    });
+  }
+}
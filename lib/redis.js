@@ -0,0 +1,157 @@
+import net from "node:net";
+import tls from "node:tls";
+
+/**
+ * Minimal RESP2 client, enough for GET/SET/DEL/INCR-style commands against
+ * Redis or anything that speaks its protocol (Upstash, KeyDB, a local
+ * stand-in). Connects lazily and reconnects on the next command after a drop.
+ * A command that gets no reply within commandTimeoutMs rejects and drops
+ * the connection, so a hung server fails callers instead of stalling them.
+ *
+ *   const redis = createRedisClient("redis://:password@localhost:6379/0");
+ *   await redis.command(["SET", "k", "v", "PX", "1000"]);
+ */
+export function createRedisClient(url, { connectTimeoutMs = 3000, commandTimeoutMs = 1000 } = {}) {
+  const target = new URL(url);
+  const useTls = target.protocol === "rediss:";
+  const port = Number(target.port) || 6379;
+  const db = Number(target.pathname.slice(1)) || 0;
+  const username = decodeURIComponent(target.username || "");
+  const password = decodeURIComponent(target.password || "");
+
+  let socket = null;
+  let ready = null;  // Promise resolved once connected + authenticated
+  let buffer = Buffer.alloc(0);
+  const pending = []; // FIFO of { resolve, reject }
+
+  function failAll(err) {
+    while (pending.length) pending.shift().reject(err);
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    while (pending.length) {
+      const parsed = parseReply(buffer, 0);
+      if (!parsed) break; // incomplete reply, wait for more bytes
+      buffer = buffer.subarray(parsed.offset);
+      const { resolve, reject } = pending.shift();
+      if (parsed.value instanceof RedisReplyError) reject(parsed.value);
+      else resolve(parsed.value);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    ready = new Promise((resolve, reject) => {
+      const options = { host: target.hostname, port };
+      socket = useTls ? tls.connect({ ...options, servername: target.hostname }) : net.connect(options);
+      socket.setNoDelay(true);
+      socket.setTimeout(connectTimeoutMs, () => socket.destroy(new Error("Redis connect timeout")));
+
+      socket.once(useTls ? "secureConnect" : "connect", async () => {
+        socket.setTimeout(0);
+        try {
+          if (password) await send(username ? ["AUTH", username, password] : ["AUTH", password]);
+          if (db) await send(["SELECT", String(db)]);
+          resolve();
+        } catch (e) {
+          socket.destroy(e);
+        }
+      });
+      socket.on("data", chunk => {
+        try { onData(chunk); } catch (e) { socket.destroy(e); }
+      });
+      socket.on("error", reject); // no-op once connected; "close" fails pending commands
+      socket.once("close", () => {
+        const err = new Error("Redis connection closed");
+        failAll(err);
+        reject(err);
+        socket = null;
+        ready = null;
+        buffer = Buffer.alloc(0);
+      });
+    });
+    return ready;
+  }
+
+  return {
+    async command(args) {
+      if (!ready) connect();
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const err = new Error(`Redis command timed out after ${commandTimeoutMs}ms`);
+          // replies are matched to commands by order, so the connection can't be reused
+          socket?.destroy(err);
+          reject(err);
+        }, commandTimeoutMs);
+      });
+      try {
+        return await Promise.race([ready.then(() => send(args.map(String))), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    async quit() {
+      if (!socket) return;
+      await send(["QUIT"]).catch(() => {});
+      socket?.end();
+    },
+  };
+}
+
+export class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RedisReplyError";
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) out += `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`;
+  return out;
+}
+
+/** Parses one RESP2 reply at `offset`; returns null when the buffer is incomplete. */
+function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+": return { value: line, offset: next };
+    case "-": return { value: new RedisReplyError(line), offset: next };
+    case ":": return { value: Number(line), offset: next };
+    case "$": {
+      const len = Number(line);
+      if (len === -1) return { value: null, offset: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString("utf8", next, next + len), offset: next + len + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new RedisReplyError(`Unexpected RESP type byte: ${type}`);
+  }
+}
@@ -0,0 +1,70 @@
+import { randomUUID } from "node:crypto";
+import { withAccessLog } from "./access-log.js";
+import { authenticateConsumer } from "./consumers.js";
+import { applyCors, corsPolicy } from "./cors.js";
+import { ApiError, sendError } from "./errors.js";
+import { enforceRateLimit } from "./rate-limit.js";
+
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+/**
+ * Wraps a Vercel handler with the cross-cutting request layer shared by
+ * every route: request ids, the access log, CORS policy and preflight
+ * handling, method checks, consumer keys, rate limiting and the error
+ * envelope (lib/errors.js) for anything it throws.
+ *
+ *   export default defineRoute({ name: "get-coin", methods: ["GET"] }, async (req, res) => { ... });
+ *
+ * `cost` is what one call spends of the client's rate limit (lib/rate-limit.js);
+ * fan-out routes cost more, 0 exempts a route. `scope` is the consumer key
+ * scope the route needs (lib/consumers.js); null for routes with their own
+ * auth (admin, cron).
+ */
+export function defineRoute({ name, methods = ["GET"], cost = 1, scope = "read" }, handler) {
+  const policy = corsPolicy(name, methods);
+  // anything that answers GET answers HEAD too; Node drops the body
+  const allowed = methods.includes("GET") && !methods.includes("HEAD") ? [...methods, "HEAD"] : methods;
+
+  return async function route(req, res) {
+    const requestId = assignRequestId(req, res);
+    return withAccessLog(req, res, { route: name, cost }, async () => {
+      try {
+        if (!applyCors(req, res, policy)) return;
+        if (!allowed.includes(req.method)) {
+          res.setHeader("Allow", allowed.join(", "));
+          throw new ApiError("METHOD_NOT_ALLOWED", `Method ${req.method} not allowed; use ${methods.join(", ")}`);
+        }
+        try {
+          await authenticateConsumer(req, scope);
+        } catch (err) {
+          // a bad or missing key still spends the caller's IP budget, so keys can't be guessed for free
+          await enforceRateLimit(req, res, { route: name, cost });
+          throw err;
+        }
+        await enforceRateLimit(req, res, { route: name, cost });
+        return await handler(req, res);
+      } catch (err) {
+        return sendError(req, res, err, { requestId, route: name });
+      }
+    });
+  };
+}
+
+/**
+ * Sets req.requestId and the X-Request-Id header once per request. An id a
+ * load balancer or caller already assigned is kept, so logs line up across hops.
+ */
+export function assignRequestId(req, res) {
+  if (req.requestId) return req.requestId;
+  const incoming = req.headers["x-request-id"];
+  req.requestId = REQUEST_ID_RE.test(incoming ?? "") ? incoming : randomUUID();
+  res.setHeader("X-Request-Id", req.requestId);
+  return req.requestId;
+}
+
+/** Where this deployment is reachable, for absolute links: PUBLIC_BASE_URL or the request's host. */
+export function baseUrlFor(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, "");
+  const proto = req.headers["x-forwarded-proto"] || "http";
+  return `${proto}://${req.headers.host}`;
+}
@@ -0,0 +1,192 @@
+import { base } from "viem/chains";
+import { chainFromId, parseCoinAddress } from "./coins.js";
+import { fetchProfile, normalizeHandle } from "./creator-snapshot.js";
+import { getCoin, zoraError } from "./zora.js";
+import { BadInputError } from "./errors.js";
+
+/**
+ * Live coin and creator updates for /api/stream.
+ *
+ * Each key ("coin:<chain>:<address>" or "handle:<handle>") is a topic with
+ * one upstream poller, however many connections subscribe to it. A poll
+ * that changes a tracked field emits an "update" event to every
+ * subscriber; pollers stop once a topic has had no subscribers for
+ * STREAM_IDLE_MS, so a client that reconnects quickly can still resume.
+ *
+ * Event ids are per-process and increase with time, so Last-Event-ID
+ * replays what a client missed from the topic's recent history
+ * (STREAM_HISTORY events). Anything older gets a fresh snapshot instead.
+ */
+export const FIELDS = ["marketCap", "volume24h", "uniqueHolders", "comments"];
+
+const POLL_MS = Number(process.env.STREAM_POLL_MS) || 15_000;
+const IDLE_MS = Number(process.env.STREAM_IDLE_MS) || 30_000;
+const HISTORY = Number(process.env.STREAM_HISTORY) || 100;
+export const MAX_KEYS = 25;
+
+const topics = new Map();
+let lastId = 0;
+
+export class StreamInputError extends BadInputError {
+  constructor(message) {
+    super(message);
+    this.name = "StreamInputError";
+  }
+}
+
+function nextId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
+
+const splitList = value => String(value ?? "").split(",").map(s => s.trim()).filter(Boolean);
+const toNumber = v => (v == null || v === "" ? null : Number(v));
+
+/** ?coins=0xabc,8453:0xdef&handles=alice,@bob -> topic keys */
+export function parseStreamKeys({ coins, handles }) {
+  const keys = new Set();
+  for (const item of splitList(coins)) {
+    const [chain, address] = item.includes(":") ? item.split(":") : [null, item];
+    keys.add(`coin:${chainFromId(chain).id}:${parseCoinAddress(address).toLowerCase()}`);
+  }
+  for (const item of splitList(handles)) {
+    const handle = normalizeHandle(item);
+    if (!handle) throw new StreamInputError(`Invalid handle: ${item}`);
+    keys.add(`handle:${handle.toLowerCase()}`);
+  }
+  if (!keys.size) throw new StreamInputError("Pass ?coins= and/or ?handles= (comma-separated)");
+  if (keys.size > MAX_KEYS) throw new StreamInputError(`Too many keys; max ${MAX_KEYS}`);
+  return [...keys];
+}
+
+async function observeCoin(address, chain) {
+  const resp = await getCoin({ address, chain });
+  if (resp?.error) throw zoraError(resp);
+  const coin = resp?.data?.zora20Token;
+  if (!coin) throw new Error("Coin not found");
+  return {
+    address: coin.address?.toLowerCase() ?? address,
+    chainId: chain,
+    name: coin.name,
+    symbol: coin.symbol,
+    marketCap: toNumber(coin.marketCap),
+    volume24h: toNumber(coin.volume24h),
+    uniqueHolders: coin.uniqueHolders ?? null,
+    comments: coin.zoraComments?.count ?? null,
+  };
+}
+
+async function observe(topic) {
+  const [type, ...rest] = topic.key.split(":");
+  if (type === "coin") return observeCoin(rest[1], Number(rest[0]));
+
+  // a handle's creator coin doesn't change, so the profile is only looked up once
+  if (!topic.creatorCoin) {
+    const { profile } = await fetchProfile(rest[0]);
+    if (!profile.creatorCoin?.address) throw new Error("Profile has no creator coin");
+    topic.creatorCoin = profile.creatorCoin.address.toLowerCase();
+  }
+  return { handle: rest[0], ...await observeCoin(topic.creatorCoin, base.id) };
+}
+
+function diff(before, after) {
+  const changes = {};
+  for (const field of FIELDS) {
+    if (before[field] !== after[field]) changes[field] = { from: before[field], to: after[field] };
+  }
+  return changes;
+}
+
+function emit(topic, event) {
+  for (const listener of topic.listeners) listener(event);
+}
+
+async function poll(topic) {
+  if (topic.polling) return;
+  topic.polling = true;
+  try {
+    const data = await observe(topic);
+    const previous = topic.data;
+    topic.data = data;
+    topic.error = null;
+    if (!previous) {
+      emit(topic, { event: "snapshot", data: { key: topic.key, data } });
+      return;
+    }
+    const changes = diff(previous, data);
+    if (!Object.keys(changes).length) return;
+    const event = { id: nextId(), event: "update", data: { key: topic.key, changes, data } };
+    topic.history.push(event);
+    if (topic.history.length > HISTORY) topic.trimmedAt = topic.history.shift().id;
+    emit(topic, event);
+  } catch (e) {
+    // report once per failure streak, not on every poll
+    if (topic.error !== e.message) emit(topic, { event: "error", data: { key: topic.key, error: e.message } });
+    topic.error = e.message;
+  } finally {
+    topic.polling = false;
+  }
+}
+
+function stop(topic) {
+  clearInterval(topic.timer);
+  topics.delete(topic.key);
+}
+
+function getTopic(key) {
+  let topic = topics.get(key);
+  if (!topic) {
+    topic = {
+      key,
+      listeners: new Set(),
+      history: [],
+      startedAt: nextId(), // nothing before this id can be replayed
+      trimmedAt: 0, // nor anything up to the last event dropped from history
+      data: null,
+      error: null,
+      polling: false,
+      creatorCoin: null,
+      idleTimer: null,
+    };
+    topic.timer = setInterval(() => poll(topic), POLL_MS);
+    topic.timer.unref?.();
+    topics.set(key, topic);
+    poll(topic);
+  }
+  return topic;
+}
+
+/**
+ * Subscribes listener(event) to every key; event is { id?, event, data }.
+ * With lastEventId, missed updates are replayed when they are all still
+ * in history, otherwise the current snapshot is sent. Returns unsubscribe.
+ */
+export function subscribe(keys, listener, { lastEventId } = {}) {
+  const resumeFrom = Number(lastEventId) || null;
+  const subscribed = keys.map(getTopic);
+
+  for (const topic of subscribed) {
+    clearTimeout(topic.idleTimer);
+    topic.listeners.add(listener);
+
+    if (resumeFrom && topic.startedAt <= resumeFrom && topic.trimmedAt <= resumeFrom) {
+      for (const event of topic.history) if (event.id > resumeFrom) listener(event);
+    } else if (topic.data) {
+      listener({ event: "snapshot", data: { key: topic.key, data: topic.data } });
+    }
+    if (topic.error) listener({ event: "error", data: { key: topic.key, error: topic.error } });
+  }
+
+  return function unsubscribe() {
+    for (const topic of subscribed) {
+      topic.listeners.delete(listener);
+      if (!topic.listeners.size) {
+        clearTimeout(topic.idleTimer);
+        topic.idleTimer = setTimeout(() => {
+          if (!topic.listeners.size) stop(topic);
+        }, IDLE_MS);
+        topic.idleTimer.unref?.();
+      }
+    }
+  };
+}
@@ -0,0 +1,131 @@
+import { createCache } from "./cache/index.js";
+import { parseTime } from "./history.js";
+import { getCoinSwaps, zoraError } from "./zora.js";
+import { CoinNotFoundError } from "./holders.js";
+
+/**
+ * Trade feed and volume buckets for a coin, from Zora's swap activity
+ * (newest first upstream).
+ */
+const PAGE_SIZE = 50;
+const MAX_PAGES = Number(process.env.SWAPS_MAX_PAGES) || 40; // 2000 swaps per aggregation
+
+export const BUCKETS = {
+  minute: 60_000,
+  hour: 3_600_000,
+  day: 86_400_000,
+};
+
+const feedCache = createCache({
+  namespace: "coin-swaps",
+  ttlMs: 15_000,
+  staleWhileRevalidateMs: 60_000,
+  staleIfErrorMs: 600_000,
+});
+
+const rangeCache = createCache({
+  namespace: "coin-swaps-range",
+  ttlMs: 30_000,
+  staleWhileRevalidateMs: 120_000,
+  staleIfErrorMs: 600_000,
+});
+
+const toNumber = v => (v == null || v === "" ? null : Number(v));
+
+function normalizeSwap(node) {
+  const currency = node.currencyAmountWithPrice?.currencyAmount;
+  const priceUsd = toNumber(node.currencyAmountWithPrice?.priceUsdc);
+  const amount = currency?.amountDecimal ?? null;
+  return {
+    id: node.id,
+    type: node.activityType || null,
+    trader: node.senderAddress?.toLowerCase() || null,
+    traderHandle: node.senderProfile?.handle || null,
+    recipient: node.recipientAddress?.toLowerCase() || null,
+    coinAmount: node.coinAmount,
+    currency: currency?.currencyAddress || null,
+    currencyAmount: amount,
+    valueUsd: amount != null && priceUsd != null ? amount * priceUsd : null,
+    txHash: node.transactionHash,
+    timestamp: parseTime(node.blockTimestamp),
+  };
+}
+
+async function fetchPage(address, chain, { after, first = PAGE_SIZE } = {}) {
+  const resp = await getCoinSwaps({ address, chain, first, after });
+  if (resp.error) {
+    if (resp.status === 404) throw new CoinNotFoundError(address);
+    throw zoraError(resp);
+  }
+  const activities = resp.data?.zora20Token?.swapActivities;
+  if (!activities) throw new CoinNotFoundError(address);
+  return {
+    swaps: (activities.edges || []).map(e => normalizeSwap(e.node)),
+    total: activities.count ?? null,
+    endCursor: activities.pageInfo?.hasNextPage ? activities.pageInfo.endCursor || null : null,
+  };
+}
+
+/** One feed page; `after` is Zora's cursor. Resolves to the cache.wrap result. */
+export function getSwapsPage(address, chain, { after, first = PAGE_SIZE } = {}) {
+  const normalized = address.toLowerCase();
+  return feedCache.wrap(
+    `${chain}:${normalized}:${first}:${after || ""}`,
+    () => fetchPage(normalized, chain, { after, first })
+  );
+}
+
+async function fetchSwapsSince(address, chain, since) {
+  const swaps = [];
+  let after;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await fetchPage(address, chain, { after });
+    swaps.push(...result.swaps);
+    const oldest = result.swaps[result.swaps.length - 1];
+    if (!result.endCursor || !oldest || oldest.timestamp < since) {
+      return { swaps: swaps.filter(s => s.timestamp >= since), complete: true };
+    }
+    after = result.endCursor;
+  }
+  return { swaps: swaps.filter(s => s.timestamp >= since), complete: false };
+}
+
+/**
+ * Every swap since `since` (capped at MAX_PAGES upstream pages; `complete`
+ * says whether we got back that far). Keyed per bucket so requests for
+ * "the last 24h" share an entry within the same minute/hour/day.
+ */
+export function getSwapsSince(address, chain, since, bucketMs) {
+  const normalized = address.toLowerCase();
+  const from = Math.floor(since / bucketMs) * bucketMs;
+  return rangeCache.wrap(
+    `${chain}:${normalized}:${bucketMs}:${from}`,
+    () => fetchSwapsSince(normalized, chain, from)
+  );
+}
+
+/** Buckets swaps into buy/sell volume, trade count and unique traders. Empty buckets are omitted. */
+export function aggregateSwaps(swaps, { bucketMs, from, to }) {
+  const buckets = new Map();
+  for (const s of swaps) {
+    if (s.timestamp == null || s.timestamp < from || s.timestamp > to) continue;
+    const t = Math.floor(s.timestamp / bucketMs) * bucketMs;
+    let b = buckets.get(t);
+    if (!b) {
+      b = { t, trades: 0, buys: 0, sells: 0, buyVolumeUsd: 0, sellVolumeUsd: 0, traders: new Set() };
+      buckets.set(t, b);
+    }
+    b.trades++;
+    if (s.type === "BUY") {
+      b.buys++;
+      b.buyVolumeUsd += s.valueUsd || 0;
+    } else if (s.type === "SELL") {
+      b.sells++;
+      b.sellVolumeUsd += s.valueUsd || 0;
+    }
+    if (s.trader) b.traders.add(s.trader);
+  }
+  return [...buckets.values()]
+    .sort((a, b) => a.t - b.t)
+    .map(({ traders, ...b }) => ({ ...b, uniqueTraders: traders.size }));
+}
@@ -0,0 +1,102 @@
+import { getAddress, isAddress, isHex, parseUnits } from "viem";
+import { base } from "viem/chains";
+import { postQuote } from "./zora.js";
+import { ApiError, BadInputError } from "./errors.js";
+
+/**
+ * Trade quotes and unsigned swap transactions for Zora coins on Base.
+ * We only ever hand calldata back: the user's wallet signs and sends it.
+ *
+ * Input (JSON body):
+ *   coin      — coin address
+ *   side      — "buy" (pay ETH, get coin) or "sell" (pay coin, get ETH)
+ *   amount    — decimal amount of what is paid: ETH for buys, coins for sells
+ *   sender    — wallet that will send the transaction
+ *   recipient — optional, defaults to sender
+ *   slippage  — optional fraction, 0 < slippage < 1 (default 0.05)
+ *   signatures — optional Permit2 signatures for sells, from a previous build
+ */
+const DEFAULT_SLIPPAGE = 0.05;
+const DECIMALS = 18; // ETH and every Zora coin
+
+export class TradeInputError extends BadInputError {
+  constructor(message) {
+    super(message);
+    this.name = "TradeInputError";
+  }
+}
+
+function requireAddress(value, field) {
+  if (typeof value !== "string" || !isAddress(value, { strict: false })) {
+    throw new TradeInputError(`${field} must be a valid address`);
+  }
+  return getAddress(value);
+}
+
+/** Validates a trade request body into the quote service's request. */
+export function parseTradeRequest(input) {
+  if (!input || typeof input !== "object") throw new TradeInputError("Body must be a JSON object");
+
+  const coin = requireAddress(input.coin, "coin");
+  const sender = requireAddress(input.sender, "sender");
+  const recipient = input.recipient ? requireAddress(input.recipient, "recipient") : sender;
+
+  if (input.side !== "buy" && input.side !== "sell") {
+    throw new TradeInputError("side must be buy or sell");
+  }
+
+  let amountIn;
+  try {
+    amountIn = parseUnits(String(input.amount ?? ""), DECIMALS);
+  } catch {
+    throw new TradeInputError("amount must be a decimal number, e.g. \"0.01\"");
+  }
+  if (amountIn <= 0n) throw new TradeInputError("amount must be greater than 0");
+
+  const slippage = input.slippage == null ? DEFAULT_SLIPPAGE : Number(input.slippage);
+  if (!(slippage > 0 && slippage < 1)) {
+    throw new TradeInputError("slippage must be a fraction between 0 and 1, e.g. 0.05");
+  }
+
+  if (input.signatures != null && !Array.isArray(input.signatures)) {
+    throw new TradeInputError("signatures must be an array");
+  }
+
+  const eth = { type: "eth" };
+  const erc20 = { type: "erc20", address: coin };
+  return {
+    tokenIn: input.side === "buy" ? eth : erc20,
+    tokenOut: input.side === "buy" ? erc20 : eth,
+    amountIn: amountIn.toString(),
+    slippage,
+    chainId: base.id,
+    sender,
+    recipient,
+    signatures: input.signatures || undefined,
+  };
+}
+
+/** Quote plus the unsigned transaction; throws if the quote service returns nonsense. */
+export async function quoteTrade(request) {
+  const quote = await postQuote(request);
+  const call = quote?.call;
+  if (!quote?.success || !call || !isAddress(call.target ?? "") || !isHex(call.data ?? "")) {
+    throw new ApiError("UPSTREAM_ERROR", "Quote service returned no usable trade call");
+  }
+
+  return {
+    side: request.tokenIn.type === "eth" ? "buy" : "sell",
+    amountIn: request.amountIn,
+    amountOut: quote.quote?.amountOut ?? null,
+    slippage: quote.quote?.slippage ?? request.slippage,
+    transaction: {
+      chainId: request.chainId,
+      from: request.sender,
+      to: getAddress(call.target),
+      data: call.data,
+      value: BigInt(call.value || 0).toString(),
+    },
+    // sells need these signed (EIP-712) and sent back as `signatures` before the call works
+    permits: quote.permits || [],
+  };
+}
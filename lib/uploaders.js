@@ -0,0 +1,80 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { createZoraUploaderForCreator } from "@zoralabs/coins-sdk";
+import { ApiError } from "./errors.js";
+import { DATA_DIR } from "./paths.js";
+
+/**
+ * File uploaders for coin metadata and images. Both implement the SDK's
+ * Uploader interface — upload(file: File) => { url, size, mimeType } — so
+ * they plug straight into createMetadataBuilder().upload().
+ *
+ * UPLOADER picks one:
+ *   zora  — Zora's IPFS pinning (needs ZORA_API_KEY); default on Vercel
+ *   local — files under .data/uploads (UPLOADS_DIR), served by
+ *           /api/uploads/<file>; default in dev. Zora can't fetch
+ *           localhost URLs, so coins made this way are for testing only.
+ */
+export const UPLOADS_DIR = process.env.UPLOADS_DIR
+  ? path.resolve(process.env.UPLOADS_DIR)
+  : path.join(DATA_DIR, "uploads");
+
+export const UPLOADER = process.env.UPLOADER || (process.env.VERCEL ? "zora" : "local");
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/gif": "gif",
+  "image/svg+xml": "svg",
+  "application/json": "json",
+};
+
+export const MIME_TYPES = Object.fromEntries(
+  Object.entries(EXTENSIONS).filter(([type]) => type !== "image/jpg").map(([type, ext]) => [ext, type])
+);
+
+export const UPLOAD_NAME_RE = /^[0-9a-f]{64}\.(png|jpg|gif|svg|json)$/;
+
+/** Content-addressed: the same bytes always get the same name and URL. */
+export function createLocalUploader({ dir = UPLOADS_DIR, baseUrl }) {
+  return {
+    async upload(file) {
+      const ext = EXTENSIONS[file.type];
+      if (!ext) throw new Error(`Unsupported upload type: ${file.type || "unknown"}`);
+
+      const bytes = Buffer.from(await file.arrayBuffer());
+      const name = `${createHash("sha256").update(bytes).digest("hex")}.${ext}`;
+      await mkdir(dir, { recursive: true });
+      const target = path.join(dir, name);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await writeFile(tmp, bytes);
+      await rename(tmp, target);
+
+      return {
+        url: `${baseUrl.replace(/\/+$/, "")}/api/uploads/${name}`,
+        size: bytes.length,
+        mimeType: file.type,
+      };
+    },
+  };
+}
+
+/** Uploader for a creator; baseUrl is where /api/uploads is reachable (local only). */
+export function getUploader({ creator, baseUrl }) {
+  if (UPLOADER === "zora") return createZoraUploaderForCreator(creator);
+  if (UPLOADER === "local") return createLocalUploader({ baseUrl });
+  throw new ApiError("MISCONFIGURED", `Unknown UPLOADER "${UPLOADER}"; use zora or local`);
+}
+
+/** Bytes of a local upload, or null when there is no such file. */
+export async function readUpload(name) {
+  if (!UPLOAD_NAME_RE.test(name)) return null;
+  try {
+    return await readFile(path.join(UPLOADS_DIR, name));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
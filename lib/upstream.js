@@ -0,0 +1,162 @@
+import { log } from "./log.js";
+
+/**
+ * Resilience helpers for upstream calls: cancellable timeouts, retries on
+ * retryable failures only, a circuit breaker and a small concurrency pool.
+ */
+
+export class UpstreamError extends Error {
+  constructor(message, { status = null, retryAfterMs = null, body = null } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.body = body;
+  }
+}
+
+export class UpstreamTimeoutError extends UpstreamError {
+  constructor(label, ms) {
+    super(`${label} timed out after ${ms}ms`);
+    this.name = "UpstreamTimeoutError";
+  }
+}
+
+export class CircuitOpenError extends UpstreamError {
+  constructor(name, retryAfterMs) {
+    super(`${name} circuit is open; failing fast`, { retryAfterMs });
+    this.name = "CircuitOpenError";
+  }
+}
+
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "UND_ERR_SOCKET"];
+
+/** 5xx, 429, timeouts and network failures are worth another try; 4xx are not. */
+export function isRetryable(err) {
+  if (err instanceof CircuitOpenError) return false;
+  if (err instanceof UpstreamTimeoutError) return true;
+  if (err instanceof UpstreamError) return err.status === 429 || err.status >= 500;
+  // fetch() rejects with TypeError("fetch failed") on DNS/connection failures
+  if (err?.name === "TypeError" && err.message === "fetch failed") return true;
+  return NETWORK_ERROR_CODES.includes(err?.code ?? err?.cause?.code);
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/**
+ * Runs fn(signal) and aborts it after `ms`. Unlike a bare Promise.race the
+ * underlying request is cancelled and the timer is always cleared.
+ */
+export async function withTimeout(fn, ms, label = "Upstream call") {
+  const controller = new AbortController();
+  let timer;
+  try {
+    return await Promise.race([
+      fn(controller.signal),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const err = new UpstreamTimeoutError(label, ms);
+          controller.abort(err);
+          reject(err);
+        }, ms);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Retries retryable failures with exponential backoff + jitter. A server
+ * Retry-After wins over our own backoff, capped at maxDelayMs.
+ */
+export async function withRetry(fn, { retries = 2, baseMs = 250, maxDelayMs = 10_000 } = {}) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e)) throw e;
+      const backoff = e.retryAfterMs ?? baseMs * Math.pow(2, attempt) + Math.random() * 100;
+      if (backoff > maxDelayMs) throw e; // upstream asked us to wait longer than a request can
+      await sleep(backoff);
+      attempt++;
+    }
+  }
+}
+
+/**
+ * closed -> (failureThreshold consecutive upstream failures) -> open
+ * open   -> (resetTimeoutMs) -> half-open: one trial call decides
+ * Only retryable failures count; a 404 says nothing about Zora's health.
+ */
+export function createCircuitBreaker({ name, failureThreshold = 5, resetTimeoutMs = 30_000 }) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  return {
+    get state() { return state; },
+
+    async run(fn) {
+      if (state === "open") {
+        const waitMs = openedAt + resetTimeoutMs - Date.now();
+        if (waitMs > 0) throw new CircuitOpenError(name, waitMs);
+        state = "half-open";
+      }
+      const isTrial = state === "half-open";
+      if (isTrial) {
+        if (trialInFlight) throw new CircuitOpenError(name, resetTimeoutMs);
+        trialInFlight = true;
+      }
+
+      try {
+        const result = await fn();
+        state = "closed";
+        failures = 0;
+        return result;
+      } catch (e) {
+        if (isRetryable(e)) {
+          failures++;
+          if (state === "half-open" || failures >= failureThreshold) {
+            if (state !== "open") log.warn("circuit breaker open", { breaker: name, message: e.message });
+            state = "open";
+            openedAt = Date.now();
+          }
+        } else if (state === "half-open") {
+          state = "closed"; // upstream answered, just not with what we wanted
+          failures = 0;
+        }
+        throw e;
+      } finally {
+        if (isTrial) trialInFlight = false;
+      }
+    },
+  };
+}
+
+/** Maps items through worker with at most `concurrency` in flight. Rejections land in the output as Error values. */
+export async function pool(items, worker, concurrency = 6) {
+  const out = new Array(items.length);
+  let i = 0;
+  async function next() {
+    const idx = i++;
+    if (idx >= items.length) return;
+    try { out[idx] = await worker(items[idx], idx); }
+    catch (e) { out[idx] = e; }
+    return next();
+  }
+  const starters = Array.from({ length: Math.min(concurrency, items.length) }, next);
+  await Promise.all(starters);
+  return out;
+}
@@ -0,0 +1,276 @@
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+import { chainFromId, parseCoinAddress } from "./coins.js";
+import { normalizeHandle } from "./creator-snapshot.js";
+import { createJsonStore } from "./json-store.js";
+import { DATA_DIR } from "./paths.js";
+import { pool } from "./upstream.js";
+import { createSecret, deliverWebhook, newEventId } from "./webhooks.js";
+import { getCoin, getProfileCoins, zoraError } from "./zora.js";
+import { BadInputError } from "./errors.js";
+
+/**
+ * Watchlists: rules evaluated against Zora data on a schedule, each
+ * firing a signed webhook (lib/webhooks.js) when it triggers.
+ *
+ * Rule types:
+ *   market_cap_above { coin, chain?, threshold } — fires when market cap crosses above threshold
+ *   market_cap_below { coin, chain?, threshold } — fires when it crosses below
+ *   holders_increase { coin, chain?, by }        — fires once holders grew by `by` since the
+ *                                                  last firing (or since the watch was created)
+ *   new_coin         { handle }                  — fires for each coin the handle creates
+ *
+ * Crossings are edge-triggered: a coin sitting above its threshold fires
+ * once, then again only after it has dropped back below. The first
+ * evaluation of any watch only records a baseline and fires nothing.
+ *
+ * Watches live in WATCHLISTS_FILE (default .data/watchlists.json).
+ */
+export const WATCHLISTS_FILE = process.env.WATCHLISTS_FILE
+  ? path.resolve(process.env.WATCHLISTS_FILE)
+  : path.join(DATA_DIR, "watchlists.json");
+
+export const RULE_TYPES = ["market_cap_above", "market_cap_below", "holders_increase", "new_coin"];
+
+const MAX_WATCHES = Number(process.env.WATCHLISTS_MAX) || 500;
+const FETCH_CONCURRENCY = 4;
+const DELIVERY_CONCURRENCY = 4;
+const NEW_COIN_PAGE_SIZE = 20;
+const MAX_SEEN_COINS = 200;
+
+const store = createJsonStore(WATCHLISTS_FILE, () => ({ watches: [] }));
+
+export class WatchInputError extends BadInputError {
+  constructor(message) {
+    super(message);
+    this.name = "WatchInputError";
+  }
+}
+
+const toNumber = v => (v == null || v === "" ? null : Number(v));
+
+function parseWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? ""));
+  } catch {
+    throw new WatchInputError("webhookUrl must be an absolute URL");
+  }
+  const allowed = process.env.VERCEL ? ["https:"] : ["https:", "http:"];
+  if (!allowed.includes(url.protocol)) {
+    throw new WatchInputError(`webhookUrl must use ${allowed.join(" or ").replace(/:/g, "")}`);
+  }
+  return url.toString();
+}
+
+/** Validates a create body into the stored rule fields. */
+export function parseWatchRequest(input) {
+  if (!input || typeof input !== "object") throw new WatchInputError("Body must be a JSON object");
+  if (!RULE_TYPES.includes(input.type)) {
+    throw new WatchInputError(`type must be one of ${RULE_TYPES.join(", ")}`);
+  }
+
+  const watch = {
+    type: input.type,
+    webhookUrl: parseWebhookUrl(input.webhookUrl),
+    label: input.label == null ? null : String(input.label).slice(0, 200),
+  };
+
+  if (input.type === "new_coin") {
+    const handle = normalizeHandle(input.handle);
+    if (!handle) throw new WatchInputError("handle is required for new_coin");
+    return { ...watch, handle };
+  }
+
+  const coin = parseCoinAddress(input.coin).toLowerCase();
+  const coinWatch = { ...watch, coin, chain: chainFromId(input.chain).id };
+
+  if (input.type === "holders_increase") {
+    const by = Number(input.by);
+    if (!Number.isInteger(by) || by < 1) throw new WatchInputError("by must be a positive integer");
+    return { ...coinWatch, by };
+  }
+
+  const threshold = Number(input.threshold);
+  if (input.threshold == null || input.threshold === "" || !Number.isFinite(threshold) || threshold < 0) {
+    throw new WatchInputError("threshold must be a non-negative number (USD)");
+  }
+  return { ...coinWatch, threshold };
+}
+
+/** A watch as the API shows it: everything but the signing secret. */
+export function publicWatch({ secret, ...watch }) {
+  return watch;
+}
+
+export async function listWatches() {
+  const { watches } = await store.read();
+  return watches;
+}
+
+export async function getWatch(id) {
+  return (await listWatches()).find(w => w.id === id) ?? null;
+}
+
+/** Resolves to the stored watch including its secret, which is shown only this once. */
+export function createWatch(fields) {
+  return store.update(doc => {
+    if (doc.watches.length >= MAX_WATCHES) {
+      throw new WatchInputError(`Watch limit reached (${MAX_WATCHES})`);
+    }
+    const watch = {
+      id: `wat_${randomUUID()}`,
+      ...fields,
+      secret: createSecret(),
+      createdAt: new Date().toISOString(),
+      lastEvaluatedAt: null,
+      lastTriggeredAt: null,
+      state: null,
+    };
+    doc.watches.push(watch);
+    return watch;
+  });
+}
+
+/** True when the watch existed. */
+export function deleteWatch(id) {
+  return store.update(doc => {
+    const before = doc.watches.length;
+    doc.watches = doc.watches.filter(w => w.id !== id);
+    return doc.watches.length !== before;
+  });
+}
+
+const coinKey = w => `${w.chain}:${w.coin}`;
+
+async function observeCoin(key) {
+  const [chain, address] = key.split(":");
+  const resp = await getCoin({ address, chain: Number(chain) });
+  if (resp?.error) throw zoraError(resp);
+  const coin = resp?.data?.zora20Token;
+  if (!coin) throw new Error(`Coin not found: ${key}`);
+  return {
+    name: coin.name,
+    symbol: coin.symbol,
+    marketCap: toNumber(coin.marketCap),
+    uniqueHolders: coin.uniqueHolders ?? null,
+  };
+}
+
+async function observeHandle(handle) {
+  const resp = await getProfileCoins({ identifier: handle, count: NEW_COIN_PAGE_SIZE });
+  if (resp?.error) throw zoraError(resp);
+  const edges = resp?.data?.profile?.createdCoins?.edges ?? [];
+  return edges.map(({ node }) => ({
+    address: node.address?.toLowerCase(),
+    name: node.name,
+    symbol: node.symbol,
+    createdAt: node.createdAt ?? null,
+  })).filter(c => c.address);
+}
+
+/**
+ * One rule against one observation. Returns the watch's next state and
+ * the event payloads to deliver (usually none). Pure; exported for tests.
+ */
+export function evaluateRule(watch, observed) {
+  const state = watch.state;
+
+  if (watch.type === "new_coin") {
+    const seen = new Set(state?.seen ?? []);
+    const fresh = state ? observed.filter(c => !seen.has(c.address)) : [];
+    const nextSeen = [...observed.map(c => c.address), ...(state?.seen ?? [])];
+    return {
+      state: { seen: [...new Set(nextSeen)].slice(0, MAX_SEEN_COINS) },
+      events: fresh.reverse().map(coin => ({ handle: watch.handle, coin })), // oldest first
+    };
+  }
+
+  const coin = { address: watch.coin, chain: watch.chain, name: observed.name, symbol: observed.symbol };
+
+  if (watch.type === "holders_increase") {
+    const holders = observed.uniqueHolders;
+    if (holders == null) return { state, events: [] };
+    const baseline = state?.baseline ?? holders;
+    if (holders - baseline >= watch.by) {
+      return {
+        state: { baseline: holders },
+        events: [{ coin, uniqueHolders: holders, previous: baseline, increase: holders - baseline, by: watch.by }],
+      };
+    }
+    // a drop lowers the baseline so `by` always means net new holders since the low point
+    return { state: { baseline: Math.min(baseline, holders) }, events: [] };
+  }
+
+  const marketCap = observed.marketCap;
+  if (marketCap == null || Number.isNaN(marketCap)) return { state, events: [] };
+  const matched = watch.type === "market_cap_above" ? marketCap > watch.threshold : marketCap < watch.threshold;
+  const crossed = matched && state?.matched === false;
+  return {
+    state: { matched, marketCap },
+    events: crossed
+      ? [{ coin, marketCap, threshold: watch.threshold, direction: watch.type === "market_cap_above" ? "above" : "below" }]
+      : [],
+  };
+}
+
+/**
+ * Evaluates every watch once: one Zora fetch per distinct coin/handle,
+ * then webhook deliveries, then the new states are saved.
+ */
+export async function evaluateWatchlists() {
+  const watches = await listWatches();
+  const summary = { evaluated: 0, triggered: 0, delivered: 0, failed: 0, errors: [] };
+  if (!watches.length) return summary;
+
+  const coinKeys = [...new Set(watches.filter(w => w.coin).map(coinKey))];
+  const handles = [...new Set(watches.filter(w => w.handle).map(w => w.handle))];
+  const [coinResults, handleResults] = await Promise.all([
+    pool(coinKeys, observeCoin, FETCH_CONCURRENCY),
+    pool(handles, observeHandle, FETCH_CONCURRENCY),
+  ]);
+  const observations = new Map([
+    ...coinKeys.map((k, i) => [`coin:${k}`, coinResults[i]]),
+    ...handles.map((h, i) => [`handle:${h}`, handleResults[i]]),
+  ]);
+
+  const now = new Date().toISOString();
+  const updates = new Map();
+  const deliveries = [];
+  for (const watch of watches) {
+    const observed = observations.get(watch.handle ? `handle:${watch.handle}` : `coin:${coinKey(watch)}`);
+    if (observed instanceof Error) {
+      summary.errors.push({ watchId: watch.id, error: observed.message });
+      continue;
+    }
+    summary.evaluated++;
+    const { state, events } = evaluateRule(watch, observed);
+    updates.set(watch.id, { state, lastEvaluatedAt: now, ...(events.length ? { lastTriggeredAt: now } : {}) });
+    for (const data of events) {
+      deliveries.push({
+        url: watch.webhookUrl,
+        secret: watch.secret,
+        event: { id: newEventId(), type: watch.type, watchId: watch.id, label: watch.label, occurredAt: now, data },
+      });
+    }
+  }
+
+  // save first so a slow receiver can't make the next run fire the same events again
+  await store.update(doc => {
+    for (const watch of doc.watches) {
+      if (updates.has(watch.id)) Object.assign(watch, updates.get(watch.id));
+    }
+  });
+
+  summary.triggered = deliveries.length;
+  const results = await pool(deliveries, deliverWebhook, DELIVERY_CONCURRENCY);
+  results.forEach((r, i) => {
+    if (r.ok) summary.delivered++;
+    else {
+      summary.failed++;
+      const { watchId, id: eventId } = deliveries[i].event;
+      summary.errors.push({ watchId, eventId, error: r instanceof Error ? r.message : r.error });
+    }
+  });
+  return summary;
+}
@@ -0,0 +1,120 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import path from "node:path";
+import { appendJsonl, readJsonl } from "./jsonl.js";
+import { log } from "./log.js";
+import { DATA_DIR } from "./paths.js";
+import { UpstreamError, parseRetryAfter, withRetry, withTimeout } from "./upstream.js";
+
+/**
+ * Signed webhook delivery.
+ *
+ * Every POST carries:
+ *   X-Webhook-Id         — event id (same across retries; dedupe on it)
+ *   X-Webhook-Timestamp  — unix seconds of this attempt
+ *   X-Webhook-Signature  — sha256=HMAC_SHA256(secret, "<timestamp>.<raw body>") as hex
+ *
+ * Receivers should recompute the signature over the raw body and reject
+ * timestamps older than a few minutes. 5xx, 429 and network failures are
+ * retried (WEBHOOK_RETRIES, default 3); each attempt is appended to the
+ * delivery log (WEBHOOK_LOG, default .data/webhook-deliveries.jsonl).
+ *
+ * WEBHOOK_URL_OVERRIDE sends every delivery to one URL instead, e.g. a
+ * local test receiver.
+ */
+export const DELIVERY_LOG = process.env.WEBHOOK_LOG
+  ? path.resolve(process.env.WEBHOOK_LOG)
+  : path.join(DATA_DIR, "webhook-deliveries.jsonl");
+
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const RETRIES = process.env.WEBHOOK_RETRIES != null ? Number(process.env.WEBHOOK_RETRIES) : 3;
+
+export function createSecret() {
+  return `whsec_${randomBytes(24).toString("base64url")}`;
+}
+
+export function sign(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/** Receiver-side check, exported for test receivers and docs. */
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ""));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * POSTs one event to url, retrying retryable failures. Resolves to
+ * { ok, attempts, status, error }; never throws.
+ */
+export async function deliverWebhook({ url, secret, event }) {
+  const target = process.env.WEBHOOK_URL_OVERRIDE || url;
+  const body = JSON.stringify(event);
+  let attempts = 0;
+  let status = null;
+
+  try {
+    await withRetry(() => withTimeout(async signal => {
+      attempts++;
+      const startedAt = Date.now();
+      const timestamp = Math.floor(startedAt / 1000);
+      const entry = { at: new Date(startedAt).toISOString(), eventId: event.id, watchId: event.watchId, url: target, attempt: attempts };
+      let answered = false;
+      try {
+        const response = await fetch(target, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "zora-cors-proxy-webhooks",
+            "X-Webhook-Id": event.id,
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": sign(secret, timestamp, body),
+          },
+          body,
+          signal,
+        });
+        status = response.status;
+        answered = true;
+        await response.body?.cancel();
+        await logDelivery({ ...entry, status, ok: response.ok, durationMs: Date.now() - startedAt });
+        if (!response.ok) {
+          throw new UpstreamError(`Webhook answered ${status}`, {
+            status,
+            retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+          });
+        }
+      } catch (e) {
+        if (!answered) {
+          await logDelivery({ ...entry, status: null, ok: false, error: e.message, durationMs: Date.now() - startedAt });
+        }
+        throw e;
+      }
+    }, TIMEOUT_MS, "Webhook delivery"), { retries: RETRIES, baseMs: 500 });
+    return { ok: true, attempts, status, error: null };
+  } catch (e) {
+    return { ok: false, attempts, status, error: e.message };
+  }
+}
+
+async function logDelivery(entry) {
+  try {
+    await appendJsonl(DELIVERY_LOG, entry);
+  } catch (e) {
+    log.error("webhook delivery log write failed", { watchId: entry.watchId, message: e.message });
+  }
+}
+
+export function newEventId() {
+  return `evt_${randomUUID()}`;
+}
+
+/** Most recent delivery attempts, newest first. */
+export async function recentDeliveries({ watchId, limit = 50 } = {}) {
+  const rows = [];
+  for await (const row of readJsonl(DELIVERY_LOG)) {
+    if (watchId && row.watchId !== watchId) continue;
+    rows.push(row);
+    if (rows.length > limit * 4) rows.splice(0, rows.length - limit);
+  }
+  return rows.slice(-limit).reverse();
+}
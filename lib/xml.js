@@ -0,0 +1,11 @@
+const ENTITIES = { "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" };
+
+/**
+ * Escapes text for XML/HTML content and attribute values. Control
+ * characters XML 1.0 forbids even when escaped are dropped.
+ */
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/[<>&'"]/g, c => ENTITIES[c]);
+}
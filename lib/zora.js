@@ -0,0 +1,186 @@
+import * as sdk from "@zoralabs/coins-sdk";
+import { recordUpstreamCall } from "./access-log.js";
+import { ApiError } from "./errors.js";
+import { readFixture, writeFixture } from "./fixtures.js";
+import {
+  UpstreamError,
+  createCircuitBreaker,
+  isRetryable,
+  parseRetryAfter,
+  withRetry,
+  withTimeout,
+} from "./upstream.js";
+
+/**
+ * Every Zora upstream call goes through this module.
+ *
+ * ZORA_MODE switches where responses come from:
+ *   live   — call Zora (default)
+ *   record — call Zora and save each response under fixtures/zora/
+ *   replay — serve saved responses only; no network, no API key needed
+ *
+ * Live calls get a per-attempt timeout (ZORA_TIMEOUT_MS), retries on
+ * 5xx/429/timeouts (ZORA_RETRIES) and a circuit breaker per upstream host
+ * (ZORA_BREAKER_THRESHOLD failures opens it for ZORA_BREAKER_RESET_MS).
+ * While it is open calls fail fast and routes fall back to stale cache.
+ */
+export const ZORA_MODE = ["live", "record", "replay"].includes(process.env.ZORA_MODE)
+  ? process.env.ZORA_MODE
+  : "live";
+
+export const GRAPHQL_URL = "https://api.zora.co/graphql";
+
+const TIMEOUT_MS = Number(process.env.ZORA_TIMEOUT_MS) || 8000;
+const RETRIES = process.env.ZORA_RETRIES != null ? Number(process.env.ZORA_RETRIES) : 2;
+
+const breakerOptions = {
+  failureThreshold: Number(process.env.ZORA_BREAKER_THRESHOLD) || 5,
+  resetTimeoutMs: Number(process.env.ZORA_BREAKER_RESET_MS) || 30_000,
+};
+const breakers = {
+  sdk: createCircuitBreaker({ name: "zora-sdk", ...breakerOptions }),
+  graphql: createCircuitBreaker({ name: "zora-graphql", ...breakerOptions }),
+};
+
+/**
+ * Applies ZORA_API_KEY to the SDK. Returns false when the key is missing
+ * and we actually need it (anything but replay).
+ */
+export function configureZora() {
+  const apiKey = process.env.ZORA_API_KEY;
+  if (apiKey) sdk.setApiKey(apiKey);
+  return Boolean(apiKey) || ZORA_MODE === "replay";
+}
+
+/** configureZora() for routes: throws MISCONFIGURED when the key is missing. */
+export function requireZora() {
+  if (!configureZora()) throw new ApiError("MISCONFIGURED", "ZORA_API_KEY is not defined");
+}
+
+/**
+ * call(signal) is one attempt; it should throw UpstreamError for
+ * retryable statuses and honor the abort signal.
+ */
+async function upstream(name, input, call, { breaker, timeoutMs = TIMEOUT_MS, retries = RETRIES } = {}) {
+  recordUpstreamCall();
+  if (ZORA_MODE === "replay") return readFixture(name, input);
+  const result = await breaker.run(() =>
+    withRetry(() => withTimeout(call, timeoutMs, name), { retries })
+  );
+  if (ZORA_MODE === "record") await writeFixture(name, input, result);
+  return result;
+}
+
+function failIfRetryable(name, status, headers, body) {
+  if (status === 429 || status >= 500) {
+    throw new UpstreamError(`${name} failed with ${status}`, {
+      status,
+      retryAfterMs: parseRetryAfter(headers?.get("retry-after")),
+      body,
+    });
+  }
+}
+
+/** The UpstreamError for an SDK result that came back with an error body. */
+export function zoraError(resp) {
+  const detail = resp?.error?.detail || resp?.error?.message || JSON.stringify(resp?.error);
+  return new UpstreamError(`Zora API error: ${detail}`, { status: resp?.status ?? null, body: resp?.error });
+}
+
+// SDK results carry Request/Response objects; keep only what survives a fixture round trip
+const toResult = r => ({ data: r?.data, error: r?.error, status: r?.response?.status ?? null });
+
+/** Options besides timeoutMs/retries go to the SDK request as-is. */
+const wrapSdk = name => (query, { timeoutMs, retries, ...options } = {}) =>
+  upstream(name, query ?? null, async signal => {
+    const r = await sdk[name](query, { ...options, signal });
+    failIfRetryable(name, r?.response?.status, r?.response?.headers, r?.error);
+    return toResult(r);
+  }, { breaker: breakers.sdk, timeoutMs, retries });
+
+export const getCoin = wrapSdk("getCoin");
+export const getCoins = wrapSdk("getCoins");
+export const getCoinComments = wrapSdk("getCoinComments");
+export const getCoinHolders = wrapSdk("getCoinHolders");
+export const getCoinSwaps = wrapSdk("getCoinSwaps");
+export const getProfile = wrapSdk("getProfile");
+export const getProfileCoins = wrapSdk("getProfileCoins");
+export const getProfileBalances = wrapSdk("getProfileBalances");
+export const getCoinsTopGainers = wrapSdk("getCoinsTopGainers");
+export const getCoinsTopVolume24h = wrapSdk("getCoinsTopVolume24h");
+export const getCoinsMostValuable = wrapSdk("getCoinsMostValuable");
+export const getCoinsNew = wrapSdk("getCoinsNew");
+export const getCoinsLastTraded = wrapSdk("getCoinsLastTraded");
+export const getMostValuableCreatorCoins = wrapSdk("getMostValuableCreatorCoins");
+
+/**
+ * Factory calls for a new content coin. The SDK doesn't take an abort
+ * signal here, so the timeout only stops us waiting.
+ */
+export function createCoinCall(args, { timeoutMs, retries } = {}) {
+  return upstream("createCoinCall", args, async () => {
+    let created;
+    try {
+      created = await sdk.createCoinCall(args);
+    } catch (e) {
+      // the SDK reports a failed create request as a bare Error, without its status
+      if (isRetryable(e)) throw e;
+      throw new UpstreamError(`createCoinCall failed: ${e.message}`);
+    }
+    const { calls, predictedCoinAddress } = created;
+    return {
+      calls: calls.map(c => ({ to: c.to, data: c.data, value: c.value.toString() })),
+      predictedCoinAddress,
+    };
+  }, { breaker: breakers.sdk, timeoutMs, retries });
+}
+
+/** One POST attempt; resolves to the status and parsed JSON body. */
+async function postJson(name, url, payload, headers, signal) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  const rawBody = await response.text();
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    failIfRetryable(name, response.status, response.headers, rawBody);
+    throw new UpstreamError(`${name} response not valid JSON`, { status: response.status, body: rawBody });
+  }
+  failIfRetryable(name, response.status, response.headers, body);
+  return { status: response.status, body };
+}
+
+/**
+ * POSTs a raw GraphQL payload to api.zora.co. Resolves to the upstream
+ * status and parsed JSON body.
+ */
+export function zoraGraphql(payload, { apiKey, timeoutMs, retries } = {}) {
+  return upstream("graphql", payload, signal =>
+    postJson("graphql", GRAPHQL_URL, payload, apiKey ? { "X-API-KEY": apiKey } : {}, signal),
+  { breaker: breakers.graphql, timeoutMs, retries });
+}
+
+/**
+ * Zora's trade quote endpoint — the request the SDK's createTradeCall
+ * makes, sent directly so it gets our timeouts, retries and fixtures.
+ * ZORA_QUOTE_URL points it at a stub quote service for testing.
+ * Resolves to the quote body; non-2xx answers throw UpstreamError.
+ */
+export const QUOTE_URL = process.env.ZORA_QUOTE_URL || "https://api-sdk.zora.engineering/quote";
+
+export function postQuote(body, { timeoutMs, retries } = {}) {
+  return upstream("postQuote", body, async signal => {
+    const apiKey = process.env.ZORA_API_KEY;
+    const result = await postJson("postQuote", QUOTE_URL, body, apiKey ? { "api-key": apiKey } : {}, signal);
+    if (result.status >= 400) {
+      throw new UpstreamError(`postQuote failed with ${result.status}`, { status: result.status, body: result.body });
+    }
+    return result.body;
+  }, { breaker: breakers.sdk, timeoutMs, retries });
+}
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+let dir;
+let accessLog;
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const row = (minute, fields) => ({
+  time: new Date(T0 + minute * 60_000).toISOString(),
+  route: "get-coin",
+  method: "GET",
+  status: 200,
+  durationMs: 10,
+  cache: null,
+  upstreamCalls: 0,
+  ...fields,
+});
+const jsonl = rows => rows.map(r => JSON.stringify(r)).join("\n") + "\n";
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "access-log-"));
+  process.env.REQUEST_LOG = path.join(dir, "requests.jsonl");
+  process.env.REQUEST_LOG_KEEP = "2";
+
+  // oldest in requests.2, newest in the current file
+  await writeFile(path.join(dir, "requests.2.jsonl"), jsonl([
+    row(0, { durationMs: 40, cache: { miss: 1 }, upstreamCalls: 1 }),
+    row(1, { durationMs: 10, cache: { hit: 1 } }),
+  ]));
+  await writeFile(path.join(dir, "requests.1.jsonl"), jsonl([
+    row(2, { durationMs: 30, cache: { stale: 1, "stale-if-error": 1 } }),
+    row(3, { durationMs: 20, status: 502, cache: { inflight: 1 }, upstreamCalls: 2 }),
+  ]));
+  await writeFile(process.env.REQUEST_LOG, jsonl([
+    row(4, { route: "stats", durationMs: 5, status: 401 }),
+    row(60, { durationMs: 1000 }), // outside the ranges below
+  ]));
+
+  accessLog = await import("../lib/access-log.js");
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const range = { from: T0, to: T0 + 10 * 60_000 };
+
+describe("accessStats", () => {
+  it("reads the rotated files oldest first, then the current one", async () => {
+    const rows = [];
+    for await (const r of accessLog.readAccessLog()) rows.push(r.time);
+    assert.deepEqual(rows, [...rows].sort());
+    assert.equal(rows.length, 6);
+  });
+
+  it("aggregates totals within from/to", async () => {
+    const { totals } = await accessLog.accessStats(range);
+    assert.deepEqual(totals, {
+      requests: 5,
+      errorRate: 0.4,
+      serverErrorRate: 0.2,
+      p50Ms: 20,
+      p95Ms: 40,
+      cacheHitRatio: 0.6, // hit, stale and stale-if-error out of five lookups
+      upstreamCalls: 3,
+    });
+  });
+
+  it("ranks routes by requests and applies limit", async () => {
+    const { routes, meta } = await accessLog.accessStats({ ...range, limit: 1 });
+    assert.equal(meta.routes, 2);
+    assert.equal(routes.length, 1);
+    assert.equal(routes[0].route, "get-coin");
+    assert.equal(routes[0].requests, 4);
+    // nearest rank over [10, 20, 30, 40]
+    assert.equal(routes[0].p50Ms, 20);
+    assert.equal(routes[0].p95Ms, 40);
+  });
+
+  it("reports no cache ratio for routes that never looked anything up", async () => {
+    const { routes } = await accessLog.accessStats(range);
+    const stats = routes.find(r => r.route === "stats");
+    assert.equal(stats.cacheHitRatio, null);
+    assert.equal(stats.errorRate, 1);
+  });
+
+  it("excludes rows outside the range", async () => {
+    const { totals } = await accessLog.accessStats({ from: T0 + 30 * 60_000, to: T0 + 90 * 60_000 });
+    assert.equal(totals.requests, 1);
+    assert.equal(totals.p95Ms, 1000);
+
+    const empty = await accessLog.accessStats({ from: T0 - 120_000, to: T0 - 60_000 });
+    assert.equal(empty.totals.requests, 0);
+    assert.equal(empty.totals.p50Ms, null);
+  });
+});
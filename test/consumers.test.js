@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, afterEach, before, describe, it } from "node:test";
+
+let dir;
+let consumers;
+let defineRoute;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "consumers-"));
+  process.env.CONSUMER_KEYS_FILE = path.join(dir, "consumer-keys.json");
+  process.env.CONSUMER_KEYS_CACHE_MS = "1";
+  process.env.REQUEST_LOG = path.join(dir, "requests.jsonl");
+  process.env.RATE_LIMIT_TIERS = JSON.stringify({ anonymous: { limit: 2, windowMs: 3_600_000 } });
+
+  consumers = await import("../lib/consumers.js");
+  ({ defineRoute } = await import("../lib/route.js"));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+afterEach(() => {
+  delete process.env.REQUIRE_CONSUMER_KEY;
+});
+
+const fakeReq = (key, ip = "10.0.0.1") => ({
+  method: "GET",
+  url: "/api/test",
+  headers: key ? { "x-api-key": key } : {},
+  query: {},
+  socket: { remoteAddress: ip },
+});
+
+const fakeRes = () => ({
+  statusCode: 200,
+  headers: {},
+  headersSent: false,
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  getHeader(name) { return this.headers[name.toLowerCase()]; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  end() { return this; },
+  once() {},
+});
+
+async function issue(fields = {}) {
+  return consumers.createConsumer(consumers.parseConsumerRequest({ name: "site", scopes: ["read"], ...fields }));
+}
+
+describe("consumer keys", () => {
+  it("stores only the hash and a prefix", async () => {
+    const { consumer, key } = await issue();
+    assert.match(key, /^zk_/);
+    assert.equal(consumer.prefix, key.slice(0, 10));
+
+    const stored = await readFile(process.env.CONSUMER_KEYS_FILE, "utf8");
+    assert.ok(!stored.includes(key));
+    assert.ok(!("hash" in consumers.publicConsumer(consumer)));
+  });
+
+  it("resolves a valid key into req.consumer", async () => {
+    const { consumer, key } = await issue();
+    const req = fakeReq(key);
+    await consumers.authenticateConsumer(req, "read");
+    assert.equal(req.consumer.id, consumer.id);
+  });
+
+  it("rejects an unknown key with UNAUTHORIZED", async () => {
+    await assert.rejects(consumers.authenticateConsumer(fakeReq("zk_nope"), "read"), { code: "UNAUTHORIZED" });
+  });
+
+  it("rejects a key without the route's scope with FORBIDDEN", async () => {
+    const { key } = await issue();
+    await assert.rejects(consumers.authenticateConsumer(fakeReq(key), "trade"), err => {
+      assert.equal(err.code, "FORBIDDEN");
+      assert.equal(err.status, 403);
+      return true;
+    });
+  });
+
+  it("rejects a revoked key with UNAUTHORIZED", async () => {
+    const { consumer, key } = await issue();
+    const revoked = await consumers.revokeConsumer(consumer.id);
+    assert.ok(revoked.revokedAt);
+    await assert.rejects(consumers.authenticateConsumer(fakeReq(key), "read"), { code: "UNAUTHORIZED" });
+    assert.equal(await consumers.revokeConsumer("key_missing"), null);
+  });
+
+  it("serves requests without a key as anonymous unless REQUIRE_CONSUMER_KEY=1", async () => {
+    const req = fakeReq(null);
+    await consumers.authenticateConsumer(req, "read");
+    assert.equal(req.consumer, undefined);
+
+    process.env.REQUIRE_CONSUMER_KEY = "1";
+    await assert.rejects(consumers.authenticateConsumer(fakeReq(null), "read"), { code: "UNAUTHORIZED" });
+    // routes with their own auth skip the check
+    await consumers.authenticateConsumer(fakeReq(null), null);
+  });
+
+  it("validates create requests", () => {
+    assert.throws(() => consumers.parseConsumerRequest({ name: "x", scopes: ["admin"] }), { code: "BAD_INPUT" });
+    assert.throws(() => consumers.parseConsumerRequest({ name: "x", scopes: ["read"], tier: "anonymous" }), { code: "BAD_INPUT" });
+    assert.throws(() => consumers.parseConsumerRequest({ scopes: ["read"] }), { code: "BAD_INPUT" });
+  });
+});
+
+describe("consumerUsage", () => {
+  it("totals the access log rows of one key", async () => {
+    const rows = [
+      { time: "2026-01-01T00:00:00.000Z", route: "get-coin", status: 200, cost: 1, keyId: "key_a" },
+      { time: "2026-01-01T00:01:00.000Z", route: "coins", status: 502, cost: 10, keyId: "key_a" },
+      { time: "2026-01-01T00:02:00.000Z", route: "get-coin", status: 200, cost: 1, keyId: "key_b" },
+      { time: "2026-01-01T00:03:00.000Z", route: "get-coin", status: 429, cost: 1, keyId: "key_a" },
+    ];
+    await writeFile(process.env.REQUEST_LOG, rows.map(r => JSON.stringify(r)).join("\n") + "\n");
+
+    assert.deepEqual(await consumers.consumerUsage("key_a"), {
+      requests: 3,
+      cost: 12,
+      errors: 2,
+      lastUsedAt: "2026-01-01T00:03:00.000Z",
+      routes: {
+        "get-coin": { requests: 2, cost: 2, errors: 1 },
+        coins: { requests: 1, cost: 10, errors: 1 },
+      },
+    });
+  });
+});
+
+describe("defineRoute", () => {
+  it("charges failed authentications to the caller's IP", async () => {
+    const route = defineRoute({ name: "test", methods: ["GET"] }, async (req, res) => res.status(200).json({ ok: true }));
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const res = fakeRes();
+      await route(fakeReq("zk_guess", "10.0.0.9"), res);
+      statuses.push(res.statusCode);
+    }
+    assert.deepEqual(statuses, [401, 401, 429]);
+  });
+});
@@ -0,0 +1,195 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+const COIN_QUERY = `query Coin($address: String!) {
+  zora20Token(address: $address) {
+    name
+    symbol
+  }
+}
+`;
+const PROFILE_QUERIES = `query Profile($handle: String!) { profile(identifier: $handle) { handle } }
+query ProfileCoins($handle: String!) { profile(identifier: $handle) { createdCoins { count } } }
+mutation Follow($handle: String!) { follow(handle: $handle) { ok } }
+`;
+
+let dir;
+let graphql;
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "graphql-"));
+  await writeFile(path.join(dir, "Coin.graphql"), COIN_QUERY);
+  await writeFile(path.join(dir, "Profile.graphql"), PROFILE_QUERIES);
+  process.env.GRAPHQL_ALLOWLIST_DIR = dir;
+  process.env.GRAPHQL_MAX_BODY_BYTES = "512";
+  process.env.GRAPHQL_MAX_DEPTH = "3";
+  process.env.GRAPHQL_MAX_ALIASES = "2";
+
+  graphql = await import("../lib/graphql.js");
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const sha256 = text => createHash("sha256").update(text).digest("hex");
+
+const post = body => ({
+  method: "POST",
+  url: "/api/proxy",
+  headers: {},
+  query: {},
+  body,
+});
+
+const get = query => ({
+  method: "GET",
+  url: `/api/proxy?${new URLSearchParams(query)}`,
+  headers: {},
+  query,
+});
+
+/** Asserts prepareOperation rejects req with a GatewayError of this status and code. */
+function rejects(req, status, code) {
+  assert.throws(() => graphql.prepareOperation(req), err => {
+    assert.ok(err instanceof graphql.GatewayError, err.message);
+    assert.equal(err.status, status);
+    assert.equal(err.code, code);
+    return true;
+  });
+}
+
+describe("prepareOperation", () => {
+  describe("allowlist", () => {
+    it("accepts the allowlisted text regardless of formatting", () => {
+      const query = "query Coin($address: String!) { zora20Token(address: $address) { name, symbol } }";
+      const op = graphql.prepareOperation(post({ query, variables: { address: "0x1" } }));
+
+      assert.equal(op.type, "query");
+      assert.equal(op.payload.operationName, "Coin");
+      assert.deepEqual(op.payload.variables, { address: "0x1" });
+      assert.equal(op.hash, sha256(op.payload.query));
+    });
+
+    it("rejects a query that is not allowlisted", () => {
+      rejects(post({ query: "{ zora20Token(address: \"0x1\") { name } }" }), 403, "OPERATION_NOT_ALLOWED");
+    });
+
+    it("rejects an allowlisted query with an extra field", () => {
+      const query = "query Coin($address: String!) { zora20Token(address: $address) { name symbol totalSupply } }";
+      rejects(post({ query }), 403, "OPERATION_NOT_ALLOWED");
+    });
+
+    it("picks the named operation from a document with several", () => {
+      const op = graphql.prepareOperation(post({ query: PROFILE_QUERIES, operationName: "ProfileCoins" }));
+      assert.equal(op.payload.operationName, "ProfileCoins");
+      assert.equal(op.type, "query");
+    });
+
+    it("needs operationName when the document has several operations", () => {
+      rejects(post({ query: PROFILE_QUERIES }), 400, "BAD_REQUEST");
+      rejects(post({ query: PROFILE_QUERIES, operationName: "Nope" }), 400, "BAD_REQUEST");
+    });
+  });
+
+  describe("persisted queries", () => {
+    const persisted = sha256Hash => ({ extensions: { persistedQuery: { version: 1, sha256Hash } } });
+
+    it("finds an operation by the hash of its file text", () => {
+      const op = graphql.prepareOperation(post(persisted(sha256(COIN_QUERY))));
+      assert.equal(op.payload.operationName, "Coin");
+    });
+
+    it("finds an operation by the hash of its normalized form", () => {
+      const byText = graphql.prepareOperation(post(persisted(sha256(COIN_QUERY))));
+      const byNormalized = graphql.prepareOperation(post(persisted(byText.hash)));
+      assert.equal(byNormalized.payload.query, byText.payload.query);
+    });
+
+    it("answers an unknown hash with PERSISTED_QUERY_NOT_FOUND", () => {
+      rejects(post(persisted("0".repeat(64))), 400, "PERSISTED_QUERY_NOT_FOUND");
+    });
+
+    it("reads the hash from the query string on GET", () => {
+      const op = graphql.prepareOperation(get({
+        extensions: JSON.stringify(persisted(sha256(COIN_QUERY)).extensions),
+        variables: JSON.stringify({ address: "0x1" }),
+      }));
+      assert.equal(op.payload.operationName, "Coin");
+      assert.deepEqual(op.payload.variables, { address: "0x1" });
+    });
+
+    it("needs a query or a hash", () => {
+      rejects(post({}), 400, "BAD_REQUEST");
+    });
+  });
+
+  describe("limits", () => {
+    it("rejects queries nested deeper than GRAPHQL_MAX_DEPTH", () => {
+      rejects(post({ query: "{ a { b { c { d } } } }" }), 400, "QUERY_TOO_DEEP");
+    });
+
+    it("counts depth through fragment spreads", () => {
+      const query = "query { a { ...F } } fragment F on T { b { c { d } } }";
+      rejects(post({ query }), 400, "QUERY_TOO_DEEP");
+    });
+
+    it("rejects a fragment that spreads itself", () => {
+      const query = "query { a { ...F } } fragment F on T { b { ...F } }";
+      rejects(post({ query }), 400, "BAD_REQUEST");
+    });
+
+    it("rejects more aliases than GRAPHQL_MAX_ALIASES", () => {
+      rejects(post({ query: "{ x: a { id } y: a { id } z: a { id } }" }), 400, "TOO_MANY_ALIASES");
+    });
+
+    it("rejects a POST body over GRAPHQL_MAX_BODY_BYTES", () => {
+      rejects(post({ query: `{ a(s: "${"x".repeat(600)}") }` }), 413, "BODY_TOO_LARGE");
+    });
+
+    it("trusts Content-Length when it is larger than the parsed body", () => {
+      const req = post({ query: COIN_QUERY });
+      req.headers["content-length"] = "10000";
+      rejects(req, 413, "BODY_TOO_LARGE");
+    });
+
+    it("rejects a GET URL over GRAPHQL_MAX_BODY_BYTES", () => {
+      rejects(get({ query: `{ a(s: "${"x".repeat(600)}") }` }), 414, "URL_TOO_LONG");
+    });
+  });
+
+  describe("malformed requests", () => {
+    it("rejects a body that is not JSON", () => {
+      rejects(post("not json"), 400, "BAD_REQUEST");
+    });
+
+    it("rejects a query that does not parse", () => {
+      rejects(post({ query: "query {" }), 400, "GRAPHQL_PARSE_FAILED");
+    });
+
+    it("rejects batched operations", () => {
+      rejects(post([{ query: COIN_QUERY }]), 400, "BAD_REQUEST");
+    });
+
+    it("rejects variables that are not an object", () => {
+      rejects(post({ query: COIN_QUERY, variables: [1] }), 400, "BAD_REQUEST");
+      rejects(get({ query: COIN_QUERY, variables: "{oops" }), 400, "BAD_REQUEST");
+    });
+
+    it("only runs mutations over POST", () => {
+      rejects(get({ query: PROFILE_QUERIES, operationName: "Follow" }), 405, "METHOD_NOT_ALLOWED");
+      const op = graphql.prepareOperation(post({ query: PROFILE_QUERIES, operationName: "Follow" }));
+      assert.equal(op.type, "mutation");
+    });
+  });
+});
+
+describe("graphqlError", () => {
+  it("uses the GraphQL-over-HTTP error shape", () => {
+    assert.deepEqual(graphql.graphqlError("Operation is not allowlisted", "OPERATION_NOT_ALLOWED"), {
+      errors: [{ message: "Operation is not allowlisted", extensions: { code: "OPERATION_NOT_ALLOWED" } }],
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import net from "node:net";
+import { after, afterEach, before, describe, it } from "node:test";
+
+// a Redis stand-in: enough RESP for INCRBY/PEXPIRE, and a switch to stop answering
+let server;
+let url;
+let hang = false;
+const counts = new Map();
+const commands = [];
+const sockets = new Set();
+
+function reply(args) {
+  const [name, key, value] = args;
+  commands.push(args);
+  if (name === "INCRBY") {
+    counts.set(key, (counts.get(key) ?? 0) + Number(value));
+    return `:${counts.get(key)}\r\n`;
+  }
+  if (name === "PEXPIRE") return ":1\r\n";
+  return `-ERR unknown command '${name}'\r\n`;
+}
+
+function parseCommands(buffer) {
+  const parsed = [];
+  let text = buffer;
+  for (;;) {
+    const match = /^\*(\d+)\r\n/.exec(text);
+    if (!match) break;
+    let rest = text.slice(match[0].length);
+    const args = [];
+    for (let i = 0; i < Number(match[1]); i++) {
+      const arg = /^\$(\d+)\r\n/.exec(rest);
+      if (!arg || rest.length < arg[0].length + Number(arg[1]) + 2) return { parsed, rest: text };
+      args.push(rest.slice(arg[0].length, arg[0].length + Number(arg[1])));
+      rest = rest.slice(arg[0].length + Number(arg[1]) + 2);
+    }
+    parsed.push(args);
+    text = rest;
+  }
+  return { parsed, rest: text };
+}
+
+let rateLimit;
+
+before(async () => {
+  server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer = "";
+    socket.on("data", chunk => {
+      const { parsed, rest } = parseCommands(buffer + chunk);
+      buffer = rest;
+      if (!hang) for (const args of parsed) socket.write(reply(args));
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `redis://127.0.0.1:${server.address().port}`;
+  process.env.RATE_LIMIT_TIERS = JSON.stringify({ anonymous: { limit: 3, windowMs: 60_000 } });
+
+  rateLimit = await import("../lib/rate-limit.js");
+});
+
+after(() => {
+  server.close();
+  for (const socket of sockets) socket.destroy();
+});
+
+afterEach(() => {
+  hang = false;
+  delete process.env.TRUST_PROXY;
+});
+
+const fakeReq = (ip, headers = {}) => ({ headers, socket: { remoteAddress: ip } });
+const fakeRes = () => ({ headers: {}, setHeader(name, value) { this.headers[name] = value; } });
+
+describe("enforceRateLimit with the Redis counter", () => {
+  it("shares one window across instances and throws RATE_LIMITED past the limit", async t => {
+    // two counters stand for two instances talking to the same server
+    const counters = [rateLimit.createRedisCounter({ url }), rateLimit.createRedisCounter({ url })];
+    const req = fakeReq("10.0.0.1");
+    // windows are aligned to the clock; pin it mid-window so the calls can't straddle a boundary
+    const now = Date.parse("2026-01-01T00:00:30Z");
+    t.mock.method(Date, "now", () => now);
+
+    for (const [i, counter] of [0, 1, 0].map(i => [i, counters[i]])) {
+      const res = fakeRes();
+      await rateLimit.enforceRateLimit(req, res, { route: "test", cost: 1, counter });
+      assert.equal(res.headers["RateLimit-Limit"], 3, `call on instance ${i}`);
+    }
+
+    const res = fakeRes();
+    await assert.rejects(
+      rateLimit.enforceRateLimit(req, res, { route: "test", cost: 1, counter: counters[1] }),
+      err => err.code === "RATE_LIMITED" && err.status === 429 && err.retryAfterMs > 0,
+    );
+    assert.equal(res.headers["RateLimit-Remaining"], 0);
+
+    const keys = commands.filter(c => c[0] === "PEXPIRE").map(c => c[1]);
+    assert.equal(keys.length, 1, "expiry is set once per window");
+    assert.deepEqual(keys, [`zcp:rl:ip:10.0.0.1:${Date.parse("2026-01-01T00:01:00Z")}`]);
+  });
+
+  it("spends the route's cost", async () => {
+    const counter = rateLimit.createRedisCounter({ url });
+    const res = fakeRes();
+    await rateLimit.enforceRateLimit(fakeReq("10.0.0.2"), res, { route: "test", cost: 2, counter });
+    assert.equal(res.headers["RateLimit-Remaining"], 1);
+  });
+
+  it("lets requests through when the server stops answering", async () => {
+    hang = true;
+    const counter = rateLimit.createRedisCounter({ url, commandTimeoutMs: 100 });
+    const res = fakeRes();
+    const startedAt = Date.now();
+    await rateLimit.enforceRateLimit(fakeReq("10.0.0.3"), res, { route: "test", cost: 1, counter });
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(res.headers["RateLimit-Limit"], undefined);
+  });
+
+  it("lets requests through when the server is unreachable", async () => {
+    const counter = rateLimit.createRedisCounter({ url: "redis://127.0.0.1:1" });
+    const res = fakeRes();
+    await rateLimit.enforceRateLimit(fakeReq("10.0.0.4"), res, { route: "test", cost: 1, counter });
+    assert.equal(res.headers["RateLimit-Limit"], undefined);
+  });
+});
+
+describe("clientIp", () => {
+  it("ignores X-Forwarded-For unless the proxy is trusted", () => {
+    const req = fakeReq("10.0.0.5", { "x-forwarded-for": "1.2.3.4, 10.0.0.5" });
+    assert.equal(rateLimit.clientIp(req), "10.0.0.5");
+    process.env.TRUST_PROXY = "1";
+    assert.equal(rateLimit.clientIp(req), "1.2.3.4");
+  });
+});
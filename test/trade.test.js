@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, describe, it } from "node:test";
+
+// QUOTE_URL is read when lib/zora.js loads, so the stub has to be up first
+let server;
+let reply;
+let trade;
+let toApiError;
+
+const SENDER = "0x1111111111111111111111111111111111111111";
+const COIN = "0x2222222222222222222222222222222222222222";
+
+before(async () => {
+  server = createServer((req, res) => {
+    const { status = 200, body } = reply;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.ZORA_QUOTE_URL = `http://127.0.0.1:${server.address().port}/quote`;
+  process.env.ZORA_RETRIES = "0";
+
+  trade = await import("../lib/trade.js");
+  ({ toApiError } = await import("../lib/errors.js"));
+});
+
+after(() => server.close());
+
+const request = () => trade.parseTradeRequest({ coin: COIN, side: "buy", amount: "0.01", sender: SENDER });
+
+async function quoteError() {
+  const err = await trade.quoteTrade(request()).then(() => null, e => e);
+  assert.ok(err, "quoteTrade should have thrown");
+  return toApiError(err);
+}
+
+describe("quoteTrade", () => {
+  it("returns the unsigned transaction from a usable quote", async () => {
+    reply = {
+      body: {
+        success: true,
+        call: { target: COIN, data: "0xabcdef", value: "10000000000000000" },
+        quote: { amountOut: "123" },
+      },
+    };
+    const result = await trade.quoteTrade(request());
+    assert.equal(result.side, "buy");
+    assert.equal(result.amountOut, "123");
+    assert.deepEqual(result.transaction, {
+      chainId: 8453,
+      from: SENDER,
+      to: COIN,
+      data: "0xabcdef",
+      value: "10000000000000000",
+    });
+  });
+
+  it("maps a quote without a usable call to UPSTREAM_ERROR", async () => {
+    reply = { body: { success: true, call: { target: "nope", data: "0x" } } };
+    const err = await quoteError();
+    assert.equal(err.code, "UPSTREAM_ERROR");
+    assert.equal(err.status, 502);
+  });
+
+  it("maps a body that isn't JSON to UPSTREAM_ERROR", async () => {
+    reply = { body: "<html>bad gateway</html>" };
+    const err = await quoteError();
+    assert.equal(err.code, "UPSTREAM_ERROR");
+    assert.equal(err.status, 502);
+  });
+
+  it("maps a 4xx from the quote service to UPSTREAM_REJECTED", async () => {
+    reply = { status: 400, body: { error: "insufficient liquidity" } };
+    const err = await quoteError();
+    assert.equal(err.code, "UPSTREAM_REJECTED");
+    assert.equal(err.status, 422);
+  });
+
+  it("maps a 5xx from the quote service to UPSTREAM_ERROR", async () => {
+    reply = { status: 500, body: { error: "boom" } };
+    const err = await quoteError();
+    assert.equal(err.code, "UPSTREAM_ERROR");
+    assert.equal(err.status, 502);
+  });
+});
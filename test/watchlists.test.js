@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { evaluateRule } from "../lib/watchlists.js";
+
+const COIN = "0x0000000000000000000000000000000000000001";
+
+/** Feeds observations through the rule like successive scheduler runs; returns the events of each run. */
+function run(watch, observations) {
+  let state = null;
+  return observations.map(observed => {
+    const result = evaluateRule({ ...watch, state }, observed);
+    state = result.state;
+    return result.events;
+  });
+}
+
+describe("evaluateRule", () => {
+  describe("market_cap_above", () => {
+    const watch = { type: "market_cap_above", coin: COIN, chain: 8453, threshold: 1000 };
+    const observe = marketCap => ({ name: "Test", symbol: "TST", marketCap });
+
+    it("fires when the market cap crosses above the threshold", () => {
+      const events = run(watch, [observe(900), observe(1100)]);
+      assert.deepEqual(events[0], []);
+      assert.deepEqual(events[1], [{
+        coin: { address: COIN, chain: 8453, name: "Test", symbol: "TST" },
+        marketCap: 1100,
+        threshold: 1000,
+        direction: "above",
+      }]);
+    });
+
+    it("does not fire again while it stays above, only after it re-crosses", () => {
+      const events = run(watch, [observe(900), observe(1100), observe(1200), observe(950), observe(1050)]);
+      assert.deepEqual(events.map(e => e.length), [0, 1, 0, 0, 1]);
+    });
+
+    it("does not fire on the first observation, even above the threshold", () => {
+      const events = run(watch, [observe(5000), observe(6000)]);
+      assert.deepEqual(events.map(e => e.length), [0, 0]);
+    });
+
+    it("keeps its state when the market cap is missing", () => {
+      const events = run(watch, [observe(900), observe(null), observe(1100)]);
+      assert.deepEqual(events.map(e => e.length), [0, 0, 1]);
+    });
+  });
+
+  describe("market_cap_below", () => {
+    it("fires when the market cap crosses below the threshold", () => {
+      const watch = { type: "market_cap_below", coin: COIN, chain: 8453, threshold: 1000 };
+      const events = run(watch, [{ marketCap: 1100 }, { marketCap: 900 }, { marketCap: 800 }]);
+      assert.deepEqual(events.map(e => e.length), [0, 1, 0]);
+      assert.equal(events[1][0].direction, "below");
+    });
+  });
+
+  describe("holders_increase", () => {
+    it("fires once holders grew by `by` and resets the baseline", () => {
+      const watch = { type: "holders_increase", coin: COIN, chain: 8453, by: 10 };
+      const events = run(watch, [{ uniqueHolders: 100 }, { uniqueHolders: 105 }, { uniqueHolders: 110 }, { uniqueHolders: 115 }]);
+      assert.deepEqual(events.map(e => e.length), [0, 0, 1, 0]);
+      assert.equal(events[2][0].increase, 10);
+      assert.equal(events[2][0].previous, 100);
+    });
+  });
+
+  describe("new_coin", () => {
+    const watch = { type: "new_coin", handle: "bob" };
+    const coin = address => ({ address, name: address });
+
+    it("records the coins it starts with without firing", () => {
+      const [events] = run(watch, [[coin("0xa"), coin("0xb")]]);
+      assert.deepEqual(events, []);
+    });
+
+    it("fires for each coin not seen before, oldest first", () => {
+      // the profile lists coins newest first
+      const events = run(watch, [
+        [coin("0xa")],
+        [coin("0xc"), coin("0xb"), coin("0xa")],
+        [coin("0xc"), coin("0xb"), coin("0xa")],
+      ]);
+      assert.deepEqual(events[1], [{ handle: "bob", coin: coin("0xb") }, { handle: "bob", coin: coin("0xc") }]);
+      assert.deepEqual(events[2], []);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+// a local receiver stands in for the subscriber; WEBHOOK_URL_OVERRIDE points deliveries at it
+let server;
+let dir;
+let webhooks;
+let received;
+let answers;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      const status = answers.shift() ?? 200;
+      res.writeHead(status, status === 429 ? { "Retry-After": "0" } : {});
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  dir = await mkdtemp(path.join(tmpdir(), "webhooks-"));
+  process.env.WEBHOOK_URL_OVERRIDE = `http://127.0.0.1:${server.address().port}/hook`;
+  process.env.WEBHOOK_LOG = path.join(dir, "deliveries.jsonl");
+  process.env.WEBHOOK_RETRIES = "2";
+
+  webhooks = await import("../lib/webhooks.js");
+});
+
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  received = [];
+  answers = [];
+});
+
+const secret = "whsec_test";
+const event = id => ({ id, watchId: "watch_1", type: "watch.triggered", data: { marketCap: 1 } });
+
+describe("deliverWebhook", () => {
+  it("signs the raw body with the timestamp", async () => {
+    const result = await webhooks.deliverWebhook({ url: "https://example.invalid/hook", secret, event: event("evt_1") });
+    assert.deepEqual(result, { ok: true, attempts: 1, status: 200, error: null });
+
+    const [{ headers, body }] = received;
+    assert.equal(headers["x-webhook-id"], "evt_1");
+    assert.deepEqual(JSON.parse(body), event("evt_1"));
+    assert.ok(webhooks.verifySignature(secret, headers["x-webhook-timestamp"], body, headers["x-webhook-signature"]));
+    assert.ok(!webhooks.verifySignature("whsec_other", headers["x-webhook-timestamp"], body, headers["x-webhook-signature"]));
+  });
+
+  it("retries 5xx and 429 with the same event id", async () => {
+    answers = [503, 429, 200];
+    const result = await webhooks.deliverWebhook({ url: "https://example.invalid/hook", secret, event: event("evt_2") });
+    assert.deepEqual(result, { ok: true, attempts: 3, status: 200, error: null });
+    assert.deepEqual(received.map(r => r.headers["x-webhook-id"]), ["evt_2", "evt_2", "evt_2"]);
+  });
+
+  it("does not retry a 4xx", async () => {
+    answers = [410];
+    const result = await webhooks.deliverWebhook({ url: "https://example.invalid/hook", secret, event: event("evt_3") });
+    assert.equal(result.ok, false);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.status, 410);
+  });
+
+  it("gives up after WEBHOOK_RETRIES and logs every attempt", async () => {
+    answers = [500, 500, 500];
+    const result = await webhooks.deliverWebhook({ url: "https://example.invalid/hook", secret, event: event("evt_4") });
+    assert.equal(result.ok, false);
+    assert.equal(result.attempts, 3);
+
+    const attempts = (await webhooks.recentDeliveries({ watchId: "watch_1" })).filter(d => d.eventId === "evt_4");
+    assert.deepEqual(attempts.map(d => d.attempt), [3, 2, 1]);
+    assert.ok(attempts.every(d => d.status === 500 && !d.ok));
+  });
+});